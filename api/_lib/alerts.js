@@ -0,0 +1,180 @@
+import { classifyRegime, computeSpreadStats } from '../../src/lib/spreadStats';
+import { computeSpread, fromSnapshotRow } from '../../src/lib/termStructure';
+import { getStorage } from './storage';
+import { configuredNotifiers, deliverAlert } from './notifiers';
+
+// Rules can be overridden with a JSON array in ALERT_RULES. Threshold levels
+// are numbers or names of signal cut-offs ('bullish', 'cautious', 'bearish');
+// the default is the bearish cut-off only, since the other two are regime
+// boundaries the regime rule already reports.
+export const DEFAULT_ALERT_RULES = [
+  { type: 'threshold' },
+  { type: 'regime' },
+  { type: 'move', bp: 100, hours: 24 },
+  { type: 'markets' },
+];
+
+export const DEFAULT_THRESHOLD_LEVELS = ['bearish'];
+
+export const DEFAULT_COOLDOWN_HOURS = 6;
+
+export const loadAlertRules = () => {
+  if (!process.env.ALERT_RULES) return DEFAULT_ALERT_RULES;
+  const rules = JSON.parse(process.env.ALERT_RULES);
+  if (!Array.isArray(rules)) throw new Error('ALERT_RULES must be a JSON array');
+  return rules;
+};
+
+const fmt = (v) => `${v > 0 ? '+' : ''}${v.toFixed(2)}%`;
+
+const evaluateThreshold = (rule, { current, previous, thresholds }) => {
+  if (!previous) return [];
+  // Named levels are keyed by name: derived cut-offs move as history grows,
+  // and the cooldown must still match repeats.
+  const levels = (rule.levels || DEFAULT_THRESHOLD_LEVELS).map(level => typeof level === 'string'
+    ? { name: level, value: thresholds[level] }
+    : { name: level.toFixed(2), value: level });
+  return levels.flatMap(({ name, value: level }) => {
+    if (typeof level !== 'number') throw new Error(`Unknown threshold level: ${name}`);
+    if (previous.spread > level && current.spread <= level) {
+      return [{ key: `threshold:${name}:down`, title: `Term spread crossed below ${fmt(level)}`, message: `Term spread moved from ${fmt(previous.spread)} to ${fmt(current.spread)}.` }];
+    }
+    if (previous.spread <= level && current.spread > level) {
+      return [{ key: `threshold:${name}:up`, title: `Term spread crossed above ${fmt(level)}`, message: `Term spread moved from ${fmt(previous.spread)} to ${fmt(current.spread)}.` }];
+    }
+    return [];
+  });
+};
+
+const evaluateRegime = (rule, { current, previous, thresholds }) => {
+  if (!previous) return [];
+  const from = classifyRegime(previous.spread, thresholds);
+  const to = classifyRegime(current.spread, thresholds);
+  if (from === to) return [];
+  return [{ key: `regime:${to}`, title: `Regime changed: ${from} → ${to}`, message: `Term spread is now ${fmt(current.spread)} (was ${fmt(previous.spread)}).` }];
+};
+
+const evaluateMove = (rule, { current, past }) => {
+  const reference = past[rule.hours];
+  if (!reference) return [];
+  const moveBp = (current.spread - reference.spread) * 100;
+  if (Math.abs(moveBp) < rule.bp) return [];
+  const direction = moveBp > 0 ? 'up' : 'down';
+  return [{ key: `move:${rule.hours}h:${direction}`, title: `Term spread ${direction} ${Math.abs(moveBp).toFixed(0)}bp in ${rule.hours}h`, message: `Term spread moved from ${fmt(reference.spread)} to ${fmt(current.spread)}.` }];
+};
+
+const evaluateMarkets = (rule, { current, previous, now }) => {
+  if (!previous) return [];
+  const before = new Map(previous.markets.map(m => [m.address, m]));
+  const after = new Map(current.markets.map(m => [m.address, m]));
+
+  const listed = current.markets
+    .filter(m => !before.has(m.address))
+    .map(m => ({ key: `market:listed:${m.address}`, title: `New market listed: ${m.name} ${m.expiry.split('T')[0]} (${m.chain})`, message: `Implied APY ${fmt(m.impliedApy)}, ${m.days}d to expiry.` }));
+
+  const removed = previous.markets
+    .filter(m => !after.has(m.address))
+    .map(m => {
+      const expired = new Date(m.expiry) <= now;
+      return {
+        key: `market:${expired ? 'expired' : 'removed'}:${m.address}`,
+        title: `Market ${expired ? 'expired' : 'left the curve'}: ${m.name} ${m.expiry.split('T')[0]} (${m.chain})`,
+        message: `Last implied APY ${fmt(m.impliedApy)}.`,
+      };
+    });
+
+  return [...listed, ...removed];
+};
+
+const EVALUATORS = {
+  threshold: evaluateThreshold,
+  regime: evaluateRegime,
+  move: evaluateMove,
+  markets: evaluateMarkets,
+};
+
+// state: { current: { spread, markets }, previous: { spread, markets } | null,
+// past: { [hours]: { spread } }, thresholds, now }
+export const evaluateAlerts = (rules, state) =>
+  rules.flatMap(rule => {
+    const evaluate = EVALUATORS[rule.type];
+    if (!evaluate) throw new Error(`Unknown alert rule type: ${rule.type}`);
+    return evaluate(rule, state).map(alert => ({ ...alert, rule: rule.type }));
+  });
+
+// Drops alerts already fired inside the cooldown window, and repeats within
+// the same batch.
+export const applyCooldown = (alerts, recent, now, cooldownHours = DEFAULT_COOLDOWN_HOURS) => {
+  const cutoff = now.getTime() - cooldownHours * 60 * 60 * 1000;
+  const firedKeys = new Set(recent.filter(r => new Date(r.fired_at).getTime() >= cutoff).map(r => r.key));
+  const seen = new Set();
+  return alerts.filter(alert => {
+    if (firedKeys.has(alert.key) || seen.has(alert.key)) return false;
+    seen.add(alert.key);
+    return true;
+  });
+};
+
+// Curve of the latest capture strictly before (or at, when inclusive) a time.
+// Partial captures are skipped: a missing chain would read as markets
+// delisting and shift the spread.
+const loadCaptureBefore = async (asset, time, inclusive = false) => {
+  const rows = await getStorage().latestCapture({ asset: asset.id, before: time, inclusive, complete: true });
+  if (rows.length === 0) return null;
+  const markets = rows
+    .filter(r => r.liquidity_flag !== 'excluded')
+    .map(fromSnapshotRow)
+    .sort((a, b) => new Date(a.expiry) - new Date(b.expiry));
+  const spread = computeSpread(markets);
+  return spread ? { spread: spread.termSpread, markets } : null;
+};
+
+// Evaluates the configured rules for a new capture of one asset, delivers
+// what is not in cooldown and records it in alert_log.
+export const checkAlerts = async ({ asset, capturedAt, structure, termSpread, now = new Date() }) => {
+  const rules = loadAlertRules();
+  const cooldownHours = parseFloat(process.env.ALERT_COOLDOWN_HOURS) || DEFAULT_COOLDOWN_HOURS;
+
+  const storage = getStorage();
+  const history = await storage.queryHistory({ asset: asset.id, limit: 3650 });
+  const { thresholds } = computeSpreadStats(history.map(r => ({ date: r.date, spread: parseFloat(r.term_spread) })));
+
+  const previous = await loadCaptureBefore(asset, capturedAt);
+  const past = {};
+  for (const rule of rules.filter(r => r.type === 'move')) {
+    const target = new Date(new Date(capturedAt).getTime() - rule.hours * 60 * 60 * 1000).toISOString();
+    past[rule.hours] = await loadCaptureBefore(asset, target, true);
+  }
+
+  const alerts = evaluateAlerts(rules, {
+    current: { spread: termSpread, markets: structure },
+    previous,
+    past,
+    thresholds,
+    now,
+  }).map(alert => ({ ...alert, key: `${asset.id}:${alert.key}`, title: `[${asset.label}] ${alert.title}` }));
+  if (alerts.length === 0) return [];
+
+  const cutoff = new Date(now.getTime() - cooldownHours * 60 * 60 * 1000);
+  const recent = await storage.recentAlerts({ since: cutoff });
+  const due = applyCooldown(alerts, recent, now, cooldownHours);
+  if (due.length === 0) return [];
+
+  const notifiers = configuredNotifiers();
+  const sent = [];
+  for (const alert of due) {
+    sent.push({ ...alert, deliveries: await deliverAlert(alert, notifiers) });
+  }
+
+  await storage.insertAlerts(sent.map(a => ({
+    asset: asset.id,
+    key: a.key,
+    rule: a.rule,
+    title: a.title,
+    message: a.message,
+    deliveries: a.deliveries,
+    fired_at: now.toISOString(),
+  })));
+
+  return sent;
+};
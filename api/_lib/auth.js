@@ -0,0 +1,20 @@
+import { timingSafeEqual } from 'crypto';
+
+// Routes that write history (the snapshot cron and the backfill) require
+// CRON_SECRET as a bearer token, which is what Vercel Cron sends once the
+// variable is set. Sends the error response and returns false otherwise.
+export const requireCronSecret = (req, res) => {
+  const secret = process.env.CRON_SECRET;
+  if (!secret) {
+    res.status(500).json({ error: 'CRON_SECRET is not configured' });
+    return false;
+  }
+
+  const expected = Buffer.from(`Bearer ${secret}`);
+  const given = Buffer.from(req.headers?.authorization || '');
+  if (given.length !== expected.length || !timingSafeEqual(given, expected)) {
+    res.status(401).json({ error: 'Unauthorized' });
+    return false;
+  }
+  return true;
+};
@@ -0,0 +1,43 @@
+// In-memory stale-while-revalidate cache, per function instance. Within `ttlMs`
+// a value is served as is; up to `staleMs` past that it is served while one
+// background refresh runs; older values are reloaded before answering. If a
+// reload fails the last value is served rather than an error.
+export const createSwrCache = ({ ttlMs, staleMs }) => {
+  const entries = new Map();
+
+  // Concurrent callers share one in-flight load.
+  const refresh = (entry) => {
+    if (!entry.pending) {
+      entry.pending = Promise.resolve()
+        .then(entry.load)
+        .then(value => Object.assign(entry, { value, fetchedAt: Date.now() }))
+        .finally(() => { entry.pending = null; });
+    }
+    return entry.pending;
+  };
+
+  const get = async (key, load) => {
+    const entry = entries.get(key) || { load };
+    entry.load = load;
+    entries.set(key, entry);
+
+    const age = entry.fetchedAt !== undefined ? Date.now() - entry.fetchedAt : Infinity;
+    if (age <= ttlMs) return { value: entry.value, fetchedAt: entry.fetchedAt, state: 'hit' };
+
+    if (age <= ttlMs + staleMs) {
+      refresh(entry).catch(error => console.error(`Cache refresh error (${key}):`, error));
+      return { value: entry.value, fetchedAt: entry.fetchedAt, state: 'stale' };
+    }
+
+    try {
+      await refresh(entry);
+      return { value: entry.value, fetchedAt: entry.fetchedAt, state: 'miss' };
+    } catch (error) {
+      if (entry.fetchedAt === undefined) throw error;
+      console.error(`Cache reload error (${key}):`, error);
+      return { value: entry.value, fetchedAt: entry.fetchedAt, state: 'stale', error: error.message };
+    }
+  };
+
+  return { get };
+};
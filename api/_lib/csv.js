@@ -0,0 +1,18 @@
+// CSV export for the data routes. Object columns (chain_spreads, ...) are
+// written as JSON inside the cell.
+const cell = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const toCsv = (rows, fields) =>
+  [fields.join(','), ...rows.map(row => fields.map(f => cell(row[f])).join(','))].join('\n') + '\n';
+
+export const sendCsv = (res, rows, fields, filename) => {
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  return res.status(200).send(toCsv(rows, fields));
+};
+
+export const EXPORT_FORMATS = ['json', 'csv'];
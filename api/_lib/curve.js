@@ -0,0 +1,48 @@
+import { getAssetChains } from '../../src/lib/assets';
+import { fetchMarkets } from '../../src/lib/pendleClient';
+import { filterAssetMarkets } from '../../src/lib/termStructure';
+import { PENDLE_OPTIONS } from './pendle';
+import { buildSnapshot, flagMarkets, toMarketRow } from './snapshotRecord';
+import { createSwrCache } from './cache';
+
+export const CURVE_TTL_SECONDS = parseInt(process.env.CURVE_CACHE_TTL_SECONDS) || 60;
+export const CURVE_STALE_SECONDS = parseInt(process.env.CURVE_CACHE_STALE_SECONDS) || 300;
+
+const cache = createSwrCache({ ttlMs: CURVE_TTL_SECONDS * 1000, staleMs: CURVE_STALE_SECONDS * 1000 });
+
+// Fetches and computes the curve the way the cron stores it. Throws when no
+// chain answered, so the cache keeps serving the last good curve.
+const loadCurve = async (asset) => {
+  const now = new Date();
+  const { markets, status, failed } = await fetchMarkets(getAssetChains(asset), PENDLE_OPTIONS);
+  if (failed.length === status.length) {
+    throw new Error(`Pendle fetch failed for ${failed.join(', ')}`);
+  }
+
+  const fetchedAt = now.toISOString();
+  const date = fetchedAt.split('T')[0];
+  const built = buildSnapshot(asset, markets, { now, capturedAt: fetchedAt, failedChains: failed });
+  const rows = built.skipped
+    ? flagMarkets(asset, filterAssetMarkets(markets, asset), now).map(m => toMarketRow(asset, m, { capturedAt: fetchedAt, date, partial: failed.length > 0 }))
+    : built.marketRows;
+
+  return { chains: status, spread: built.skipped ? null : built.record, rows };
+};
+
+// Cached curve of one asset, shared by /api/curve and /api/stream within a
+// function instance. Rejects only when nothing is cached and Pendle fails.
+export const getCurve = (asset) => cache.get(asset.id, () => loadCurve(asset));
+
+// The /api/curve JSON body (also the payload of the stream's `curve` event).
+export const curveBody = (asset, { value, fetchedAt, state, error }) => ({
+  success: true,
+  asset: asset.id,
+  fetched_at: new Date(fetchedAt).toISOString(),
+  age_seconds: Math.round((Date.now() - fetchedAt) / 1000),
+  cache: state,
+  refresh_error: error || null,
+  chains: value.chains,
+  spread: value.spread,
+  count: value.rows.length,
+  data: value.rows
+});
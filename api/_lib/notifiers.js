@@ -0,0 +1,69 @@
+import nodemailer from 'nodemailer';
+
+// Each notifier is enabled by its environment variables. The *_API_BASE
+// overrides exist so delivery can be pointed at a local mock receiver.
+
+const postJson = async (url, body) => {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  if (!response.ok) {
+    const error = await response.text();
+    throw new Error(`${response.status} ${error}`);
+  }
+};
+
+const webhookNotifier = (env) => env.ALERT_WEBHOOK_URL && {
+  name: 'webhook',
+  send: (alert) => postJson(env.ALERT_WEBHOOK_URL, { ...alert, timestamp: new Date().toISOString() }),
+};
+
+const telegramNotifier = (env) => env.TELEGRAM_BOT_TOKEN && env.TELEGRAM_CHAT_ID && {
+  name: 'telegram',
+  send: (alert) => postJson(
+    `${env.TELEGRAM_API_BASE || 'https://api.telegram.org'}/bot${env.TELEGRAM_BOT_TOKEN}/sendMessage`,
+    { chat_id: env.TELEGRAM_CHAT_ID, text: `${alert.title}\n${alert.message}` }
+  ),
+};
+
+const discordNotifier = (env) => env.DISCORD_WEBHOOK_URL && {
+  name: 'discord',
+  send: (alert) => postJson(env.DISCORD_WEBHOOK_URL, { content: `**${alert.title}**\n${alert.message}` }),
+};
+
+const smtpNotifier = (env) => {
+  if (!env.SMTP_HOST || !env.ALERT_EMAIL_TO) return null;
+  const transport = nodemailer.createTransport({
+    host: env.SMTP_HOST,
+    port: parseInt(env.SMTP_PORT) || 587,
+    secure: env.SMTP_SECURE === 'true',
+    auth: env.SMTP_USER ? { user: env.SMTP_USER, pass: env.SMTP_PASS } : undefined,
+  });
+  return {
+    name: 'smtp',
+    send: (alert) => transport.sendMail({
+      from: env.ALERT_EMAIL_FROM || env.SMTP_USER,
+      to: env.ALERT_EMAIL_TO,
+      subject: `[Term Structure Monitor] ${alert.title}`,
+      text: alert.message,
+    }),
+  };
+};
+
+export const configuredNotifiers = (env = process.env) =>
+  [webhookNotifier, telegramNotifier, discordNotifier, smtpNotifier]
+    .map(create => create(env))
+    .filter(Boolean);
+
+// Sends one alert through every notifier; a failing channel does not stop
+// the others.
+export const deliverAlert = async (alert, notifiers) => {
+  const results = await Promise.allSettled(notifiers.map(n => n.send(alert)));
+  return notifiers.map((n, i) => ({
+    channel: n.name,
+    ok: results[i].status === 'fulfilled',
+    error: results[i].status === 'rejected' ? results[i].reason.message : undefined,
+  }));
+};
@@ -0,0 +1,9 @@
+import { DEFAULT_CLIENT_OPTIONS } from '../../src/lib/pendleClient';
+
+// Pendle client options for the API routes, overridable from the environment
+// (e.g. to point at scripts/mock-pendle-server.js).
+export const PENDLE_OPTIONS = {
+  baseUrl: process.env.PENDLE_API_BASE || DEFAULT_CLIENT_OPTIONS.baseUrl,
+  timeoutMs: parseInt(process.env.PENDLE_TIMEOUT_MS) || DEFAULT_CLIENT_OPTIONS.timeoutMs,
+  retries: process.env.PENDLE_RETRIES !== undefined ? parseInt(process.env.PENDLE_RETRIES) : DEFAULT_CLIENT_OPTIONS.retries,
+};
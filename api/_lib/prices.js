@@ -0,0 +1,57 @@
+import { readFile } from 'fs/promises';
+import path from 'path';
+import { parsePriceCsv } from '../../src/lib/backtest';
+import { createSwrCache } from './cache';
+
+const COINGECKO_API = 'https://api.coingecko.com/api/v3';
+
+// The public CoinGecko API only serves the last year of daily prices.
+export const COINGECKO_MAX_DAYS = 365;
+
+// Daily prices barely move within hours; cached per function instance so
+// dashboard loads do not each hit the price source.
+const PRICE_TTL_SECONDS = parseInt(process.env.PRICE_CACHE_TTL_SECONDS) || 6 * 60 * 60;
+const PRICE_STALE_SECONDS = 24 * 60 * 60;
+
+const cache = createSwrCache({ ttlMs: PRICE_TTL_SECONDS * 1000, staleMs: PRICE_STALE_SECONDS * 1000 });
+
+export const PRICE_ASSETS = {
+  susde: { coingeckoId: 'ethena-staked-usde' },
+  ena: { coingeckoId: 'ethena' },
+};
+
+// Daily CSV at PRICE_CSV_DIR/<asset>.csv (default data/prices).
+const csvSource = async (asset) => {
+  const dir = process.env.PRICE_CSV_DIR || path.join(process.cwd(), 'data', 'prices');
+  const text = await readFile(path.join(dir, `${asset}.csv`), 'utf8');
+  return parsePriceCsv(text);
+};
+
+const coingeckoSource = async (asset, days) => {
+  const response = await fetch(
+    `${COINGECKO_API}/coins/${PRICE_ASSETS[asset].coingeckoId}/market_chart?vs_currency=usd&days=${Math.min(days, COINGECKO_MAX_DAYS)}&interval=daily`
+  );
+  if (!response.ok) {
+    throw new Error(`CoinGecko error: ${response.status}`);
+  }
+  const data = await response.json();
+  return (data.prices || []).map(([timestamp, price]) => ({
+    date: new Date(timestamp).toISOString().split('T')[0],
+    price,
+  }));
+};
+
+export const PRICE_SOURCES = {
+  csv: csvSource,
+  coingecko: coingeckoSource,
+};
+
+// Daily { date, price } rows. CoinGecko requests are capped at
+// COINGECKO_MAX_DAYS, so older spreads simply find no price.
+export const loadPrices = async (asset, { source = process.env.PRICE_SOURCE || 'coingecko', days = 365 } = {}) => {
+  if (!PRICE_ASSETS[asset]) throw new Error(`Unknown price asset: ${asset}`);
+  if (!PRICE_SOURCES[source]) throw new Error(`Unknown price source: ${source}`);
+  const span = source === 'coingecko' ? Math.min(days, COINGECKO_MAX_DAYS) : days;
+  const { value } = await cache.get(`${source}:${asset}:${span}`, () => PRICE_SOURCES[source](asset, span));
+  return value;
+};
@@ -0,0 +1,120 @@
+import { filterAssetMarkets, buildTermStructure, computeSpread, chainSpreads, crossChainBasis, applyLiquidityRules, curveMarkets } from '../../src/lib/termStructure';
+import { getReferenceChain, getLiquidityRules, getQualityRules } from '../../src/lib/assets';
+import { checkQuality, countZeroApyMarkets, previousCleanRecord } from '../../src/lib/dataQuality';
+import { constantMaturityYields, DEFAULT_CURVE_METHOD, DEFAULT_CURVE_WEIGHTING } from '../../src/lib/curveFit';
+
+const CURVE_METHOD = process.env.CURVE_FIT_METHOD || DEFAULT_CURVE_METHOD;
+const CURVE_WEIGHTING = process.env.CURVE_FIT_WEIGHTING || DEFAULT_CURVE_WEIGHTING;
+
+const round4 = (value) => value === null || value === undefined ? null : parseFloat(value.toFixed(4));
+
+// Thin markets are persisted with their flag but kept off the curve.
+export const flagMarkets = (asset, assetMarkets, now) =>
+  applyLiquidityRules(buildTermStructure(assetMarkets, now), getLiquidityRules(asset));
+
+// One market_snapshots row; `partial` marks a capture missing a chain.
+export const toMarketRow = (asset, m, { capturedAt, date, partial = false }) => ({
+  asset: asset.id,
+  captured_at: capturedAt,
+  date,
+  chain: m.chain,
+  chain_id: m.chainId,
+  address: m.address,
+  name: m.name,
+  expiry: m.expiry,
+  days_to_expiry: m.days,
+  implied_apy: round4(m.impliedApy),
+  underlying_apy: round4(m.underlyingApy),
+  liquidity: parseFloat(m.liquidity.toFixed(2)),
+  pt_price: parseFloat(m.ptPrice.toFixed(6)),
+  liquidity_flag: m.liquidityFlag,
+  partial
+});
+
+// The term_spread_history record and market_snapshots rows for one asset,
+// computed from raw Pendle markets as seen at `now`. Shared by the hourly
+// snapshot and the backfill so both write identical rows. Returns
+// { skipped } when there are not enough markets for a spread. `history`
+// (chronological term_spread_history rows) is what the spread jump check
+// compares against; failed checks end up in `quality` and quality_flags.
+export const buildSnapshot = (asset, markets, { now, capturedAt, failedChains = [], source = 'snapshot', history = [] }) => {
+  const assetMarkets = filterAssetMarkets(markets, asset);
+
+  if (assetMarkets.length < 2) {
+    return {
+      skipped: {
+        message: `Not enough ${asset.label} markets to calculate spread`,
+        marketsFound: assetMarkets.length
+      }
+    };
+  }
+
+  const flagged = flagMarkets(asset, assetMarkets, now);
+  const sorted = curveMarkets(flagged);
+  const spread = computeSpread(sorted);
+
+  if (!spread) {
+    return {
+      skipped: {
+        message: `Not enough valid ${asset.label} markets`,
+        validMarkets: sorted.length,
+        excludedMarkets: flagged.length - sorted.length
+      }
+    };
+  }
+
+  const { frontMonth, backMonth, frontApy, backApy, termSpread, underlyingApy } = spread;
+  const cm = constantMaturityYields(sorted, CURVE_METHOD, { weighting: CURVE_WEIGHTING });
+
+  const perChain = {};
+  Object.entries(chainSpreads(sorted)).forEach(([chain, chainSpread]) => {
+    perChain[chain] = chainSpread
+      ? { term_spread: round4(chainSpread.termSpread), front_apy: round4(chainSpread.frontApy), back_apy: round4(chainSpread.backApy), markets: chainSpread.marketsCount }
+      : { term_spread: null, markets: sorted.filter(m => m.chain === chain).length };
+  });
+  const basis = {};
+  Object.entries(crossChainBasis(sorted, getReferenceChain(asset).name)).forEach(([chain, chainBasis]) => {
+    basis[chain] = round4(chainBasis.basis);
+  });
+
+  const today = now.toISOString().split('T')[0];
+  const record = {
+    asset: asset.id,
+    date: today,
+    term_spread: parseFloat(termSpread.toFixed(4)),
+    front_month_apy: parseFloat(frontApy.toFixed(4)),
+    back_month_apy: parseFloat(backApy.toFixed(4)),
+    front_expiry: frontMonth.expiry.split('T')[0],
+    back_expiry: backMonth.expiry.split('T')[0],
+    underlying_apy: parseFloat(underlyingApy.toFixed(4)),
+    markets_count: sorted.length,
+    excluded_markets: flagged.length - sorted.length,
+    low_confidence_markets: sorted.filter(m => m.liquidityFlag === 'low').length,
+    cm_30d_apy: round4(cm.yields[30]),
+    cm_60d_apy: round4(cm.yields[60]),
+    cm_90d_apy: round4(cm.yields[90]),
+    cm_180d_apy: round4(cm.yields[180]),
+    cm_spread: round4(cm.cmSpread),
+    curve_method: cm.method,
+    curve_weighting: cm.weighting,
+    chain_spreads: perChain,
+    chain_basis: basis,
+    partial: failedChains.length > 0,
+    failed_chains: failedChains.length > 0 ? failedChains : null,
+    source,
+    captured_at: capturedAt
+  };
+
+  const rules = getQualityRules(asset);
+  const quality = checkQuality({
+    record,
+    structure: sorted,
+    zeroApyMarkets: countZeroApyMarkets(assetMarkets, now),
+    previous: previousCleanRecord(history, today, rules),
+  }, rules);
+  record.quality_flags = quality.length > 0 ? quality.map(q => q.flag) : null;
+
+  const marketRows = flagged.map(m => toMarketRow(asset, m, { capturedAt, date: today, partial: record.partial }));
+
+  return { record, marketRows, structure: sorted, termSpread, quality };
+};
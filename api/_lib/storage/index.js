@@ -0,0 +1,39 @@
+import { createSupabaseStorage } from './supabase';
+import { createSqliteStorage } from './sqlite';
+import { createJsonStorage } from './json';
+
+// Where history, per-market snapshots, the alert log and the snapshot run log
+// live, chosen by STORAGE_BACKEND. Every backend exposes the same methods;
+// rows use the column names of supabase/migrations.
+//
+//   upsertHistory(records)                      insert or replace by (asset, date)
+//   queryHistory({ asset, from, to, limit })     oldest first; limit keeps the most recent
+//   insertSnapshot(rows)                         per-market rows, replaced on rerun of a capture
+//   queryCaptures({ asset, capturedAt })         rows of the listed captures
+//   latestCapture({ asset, before, inclusive, complete })
+//                                               rows of the last capture before a time;
+//                                               complete skips partial captures
+//   insertAlerts(rows)
+//   recentAlerts({ since })
+//   insertRun(row)                               one snapshot_runs row per cron run
+//   recentRuns({ status, limit })                newest first, optionally of one status
+export const STORAGE_BACKENDS = {
+  supabase: createSupabaseStorage,
+  sqlite: createSqliteStorage,
+  json: createJsonStorage,
+};
+
+export const DEFAULT_STORAGE_BACKEND = 'supabase';
+
+let storage = null;
+
+export const createStorage = (backend = process.env.STORAGE_BACKEND || DEFAULT_STORAGE_BACKEND, options) => {
+  const create = STORAGE_BACKENDS[backend];
+  if (!create) throw new Error(`Unknown STORAGE_BACKEND: ${backend}`);
+  return create(options);
+};
+
+export const getStorage = () => {
+  if (!storage) storage = createStorage();
+  return storage;
+};
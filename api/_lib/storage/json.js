@@ -0,0 +1,103 @@
+import { readFile, writeFile, mkdir } from 'fs/promises';
+import path from 'path';
+import { TABLES, toTime } from './schema';
+
+// Whole dataset in one JSON file; meant for local runs and tests.
+export const createJsonStorage = ({ file = process.env.STORAGE_JSON_PATH || path.join(process.cwd(), '.data', 'history.json') } = {}) => {
+  const load = async () => {
+    try {
+      return JSON.parse(await readFile(file, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      return Object.fromEntries(Object.keys(TABLES).map(table => [table, []]));
+    }
+  };
+
+  const save = async (data) => {
+    await mkdir(path.dirname(file), { recursive: true });
+    await writeFile(file, JSON.stringify(data, null, 2));
+  };
+
+  const keyOf = (table, row) => TABLES[table].key
+    .map(column => column.endsWith('_at') ? toTime(row[column]) : row[column])
+    .join('|');
+
+  const upsert = async (table, rows) => {
+    const data = await load();
+    const existing = data[table] || [];
+    const index = new Map(existing.map((row, i) => [keyOf(table, row), i]));
+    [].concat(rows).forEach(row => {
+      const i = index.get(keyOf(table, row));
+      if (i === undefined) {
+        index.set(keyOf(table, row), existing.length);
+        existing.push(row);
+      } else {
+        existing[i] = { ...existing[i], ...row };
+      }
+    });
+    data[table] = existing;
+    await save(data);
+  };
+
+  const captureRows = (rows, time) => rows.filter(r => toTime(r.captured_at) === time);
+
+  return {
+    name: 'json',
+
+    upsertHistory: (records) => upsert('term_spread_history', records),
+
+    queryHistory: async ({ asset, from, to, limit } = {}) => {
+      const data = await load();
+      const rows = (data.term_spread_history || [])
+        .filter(r => (!asset || r.asset === asset) && (!from || r.date >= from) && (!to || r.date <= to))
+        .sort((a, b) => a.date.localeCompare(b.date));
+      return limit ? rows.slice(-limit) : rows;
+    },
+
+    insertSnapshot: (rows) => upsert('market_snapshots', rows),
+
+    queryCaptures: async ({ asset, capturedAt }) => {
+      const data = await load();
+      const times = new Set(capturedAt.map(toTime));
+      return (data.market_snapshots || [])
+        .filter(r => r.asset === asset && times.has(toTime(r.captured_at)))
+        .sort((a, b) => toTime(a.expiry) - toTime(b.expiry));
+    },
+
+    latestCapture: async ({ asset, before, inclusive = false, complete = false }) => {
+      const data = await load();
+      const limit = toTime(before);
+      const rows = (data.market_snapshots || []).filter(r =>
+        r.asset === asset && (inclusive ? toTime(r.captured_at) <= limit : toTime(r.captured_at) < limit) && !(complete && r.partial)
+      );
+      if (rows.length === 0) return [];
+      const latest = Math.max(...rows.map(r => toTime(r.captured_at)));
+      return captureRows(rows, latest).sort((a, b) => toTime(a.expiry) - toTime(b.expiry));
+    },
+
+    insertAlerts: async (rows) => {
+      const data = await load();
+      data.alert_log = [...(data.alert_log || []), ...rows];
+      await save(data);
+    },
+
+    recentAlerts: async ({ since }) => {
+      const data = await load();
+      return (data.alert_log || []).filter(r => toTime(r.fired_at) >= toTime(since));
+    },
+
+    insertRun: async (row) => {
+      const data = await load();
+      data.snapshot_runs = [...(data.snapshot_runs || []), row];
+      await save(data);
+    },
+
+    recentRuns: async ({ status, limit = 20 } = {}) => {
+      const data = await load();
+      return (data.snapshot_runs || [])
+        .filter(r => !status || r.status === status)
+        .sort((a, b) => toTime(b.started_at) - toTime(a.started_at))
+        .slice(0, limit);
+    },
+  };
+};
@@ -0,0 +1,91 @@
+// Table layout shared by the SQLite and JSON-file adapters; mirrors
+// supabase/migrations. Columns listed in `json` hold objects, those in
+// `boolean` true/false (stored as 0/1 in SQLite).
+export const TABLES = {
+  term_spread_history: {
+    key: ['asset', 'date'],
+    json: ['chain_spreads', 'chain_basis', 'failed_chains', 'quality_flags'],
+    boolean: ['partial'],
+    columns: {
+      asset: 'TEXT NOT NULL',
+      date: 'TEXT NOT NULL',
+      term_spread: 'REAL NOT NULL',
+      front_month_apy: 'REAL NOT NULL',
+      back_month_apy: 'REAL NOT NULL',
+      front_expiry: 'TEXT NOT NULL',
+      back_expiry: 'TEXT NOT NULL',
+      underlying_apy: 'REAL',
+      markets_count: 'INTEGER NOT NULL',
+      excluded_markets: 'INTEGER',
+      low_confidence_markets: 'INTEGER',
+      cm_30d_apy: 'REAL',
+      cm_60d_apy: 'REAL',
+      cm_90d_apy: 'REAL',
+      cm_180d_apy: 'REAL',
+      cm_spread: 'REAL',
+      curve_method: 'TEXT',
+      curve_weighting: 'TEXT',
+      chain_spreads: 'TEXT',
+      chain_basis: 'TEXT',
+      partial: 'INTEGER',
+      failed_chains: 'TEXT',
+      source: 'TEXT',
+      quality_flags: 'TEXT',
+      captured_at: 'TEXT',
+    },
+  },
+  market_snapshots: {
+    key: ['asset', 'captured_at', 'chain_id', 'address'],
+    json: [],
+    boolean: ['partial'],
+    columns: {
+      asset: 'TEXT NOT NULL',
+      captured_at: 'TEXT NOT NULL',
+      date: 'TEXT NOT NULL',
+      chain: 'TEXT NOT NULL',
+      chain_id: 'INTEGER NOT NULL',
+      address: 'TEXT NOT NULL',
+      name: 'TEXT',
+      expiry: 'TEXT NOT NULL',
+      days_to_expiry: 'INTEGER NOT NULL',
+      implied_apy: 'REAL NOT NULL',
+      underlying_apy: 'REAL',
+      liquidity: 'REAL',
+      pt_price: 'REAL',
+      liquidity_flag: 'TEXT',
+      partial: 'INTEGER',
+    },
+  },
+  alert_log: {
+    key: null,
+    json: ['deliveries'],
+    boolean: [],
+    columns: {
+      asset: 'TEXT NOT NULL',
+      key: 'TEXT NOT NULL',
+      rule: 'TEXT NOT NULL',
+      title: 'TEXT NOT NULL',
+      message: 'TEXT',
+      deliveries: 'TEXT',
+      fired_at: 'TEXT NOT NULL',
+    },
+  },
+  snapshot_runs: {
+    key: null,
+    json: ['assets', 'chains'],
+    boolean: [],
+    columns: {
+      started_at: 'TEXT NOT NULL',
+      finished_at: 'TEXT',
+      duration_ms: 'INTEGER',
+      date: 'TEXT',
+      status: 'TEXT NOT NULL',
+      assets: 'TEXT',
+      chains: 'TEXT',
+      error: 'TEXT',
+    },
+  },
+};
+
+// Timestamps compare by instant, whatever their string format.
+export const toTime = (value) => new Date(value).getTime();
@@ -0,0 +1,149 @@
+import { readFile, writeFile, mkdir } from 'fs/promises';
+import path from 'path';
+import initSqlJs from 'sql.js';
+import { TABLES, toTime } from './schema';
+
+const TIMESTAMP_COLUMNS = ['captured_at', 'fired_at', 'expiry', 'started_at', 'finished_at'];
+
+// SQLite file through sql.js (no native build). The database is loaded into
+// memory and written back after every write.
+export const createSqliteStorage = ({ file = process.env.STORAGE_SQLITE_PATH || path.join(process.cwd(), '.data', 'history.sqlite') } = {}) => {
+  let dbPromise = null;
+
+  const open = async () => {
+    const SQL = await initSqlJs();
+    let db;
+    try {
+      db = new SQL.Database(await readFile(file));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      db = new SQL.Database();
+    }
+
+    Object.entries(TABLES).forEach(([table, { key, columns }]) => {
+      const definitions = Object.entries(columns).map(([column, type]) => `${column} ${type}`);
+      if (key) definitions.push(`PRIMARY KEY (${key.join(', ')})`);
+      db.run(`CREATE TABLE IF NOT EXISTS ${table} (${definitions.join(', ')})`);
+
+      // Tables created by an older version get the newer columns added.
+      const existing = new Set(db.exec(`PRAGMA table_info(${table})`)[0].values.map(row => row[1]));
+      Object.keys(columns)
+        .filter(column => !existing.has(column))
+        .forEach(column => db.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${columns[column].replace(' NOT NULL', '')}`));
+    });
+    return db;
+  };
+
+  const db = () => {
+    if (!dbPromise) dbPromise = open();
+    return dbPromise;
+  };
+
+  const persist = async (database) => {
+    await mkdir(path.dirname(file), { recursive: true });
+    await writeFile(file, Buffer.from(database.export()));
+  };
+
+  const encode = (table, column, value) => {
+    if (value === undefined || value === null) return null;
+    if (TABLES[table].json.includes(column)) return JSON.stringify(value);
+    if (TABLES[table].boolean.includes(column)) return value ? 1 : 0;
+    if (TIMESTAMP_COLUMNS.includes(column)) return new Date(value).toISOString();
+    return value;
+  };
+
+  const decode = (table, row) => {
+    const decoded = { ...row };
+    TABLES[table].json.forEach(column => {
+      if (typeof decoded[column] === 'string') decoded[column] = JSON.parse(decoded[column]);
+    });
+    TABLES[table].boolean.forEach(column => {
+      if (decoded[column] !== null && decoded[column] !== undefined) decoded[column] = decoded[column] === 1;
+    });
+    return decoded;
+  };
+
+  const query = async (table, sql, params = []) => {
+    const database = await db();
+    const statement = database.prepare(sql);
+    statement.bind(params);
+    const rows = [];
+    while (statement.step()) rows.push(decode(table, statement.getAsObject()));
+    statement.free();
+    return rows;
+  };
+
+  const write = async (table, rows, upsert) => {
+    const database = await db();
+    const { key } = TABLES[table];
+    [].concat(rows).forEach(row => {
+      const columns = Object.keys(row).filter(column => column in TABLES[table].columns);
+      const conflict = upsert && key
+        ? ` ON CONFLICT (${key.join(', ')}) DO UPDATE SET ${columns.map(c => `${c} = excluded.${c}`).join(', ')}`
+        : '';
+      database.run(
+        `INSERT INTO ${table} (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})${conflict}`,
+        columns.map(c => encode(table, c, row[c]))
+      );
+    });
+    await persist(database);
+  };
+
+  return {
+    name: 'sqlite',
+
+    upsertHistory: (records) => write('term_spread_history', records, true),
+
+    queryHistory: async ({ asset, from, to, limit } = {}) => {
+      const where = [];
+      const params = [];
+      if (asset) { where.push('asset = ?'); params.push(asset); }
+      if (from) { where.push('date >= ?'); params.push(from); }
+      if (to) { where.push('date <= ?'); params.push(to); }
+      const rows = await query(
+        'term_spread_history',
+        `SELECT * FROM term_spread_history${where.length ? ` WHERE ${where.join(' AND ')}` : ''} ORDER BY date DESC${limit ? ` LIMIT ${parseInt(limit)}` : ''}`,
+        params
+      );
+      return rows.reverse();
+    },
+
+    insertSnapshot: (rows) => write('market_snapshots', rows, true),
+
+    queryCaptures: ({ asset, capturedAt }) => query(
+      'market_snapshots',
+      `SELECT * FROM market_snapshots WHERE asset = ? AND captured_at IN (${capturedAt.map(() => '?').join(', ')}) ORDER BY expiry ASC`,
+      [asset, ...capturedAt.map(t => new Date(t).toISOString())]
+    ),
+
+    latestCapture: async ({ asset, before, inclusive = false, complete = false }) => {
+      const [latest] = await query(
+        'market_snapshots',
+        `SELECT MAX(captured_at) AS captured_at FROM market_snapshots WHERE asset = ? AND captured_at ${inclusive ? '<=' : '<'} ?${complete ? ' AND (partial IS NULL OR partial = 0)' : ''}`,
+        [asset, new Date(before).toISOString()]
+      );
+      if (!latest || !latest.captured_at) return [];
+      return query(
+        'market_snapshots',
+        'SELECT * FROM market_snapshots WHERE asset = ? AND captured_at = ? ORDER BY expiry ASC',
+        [asset, latest.captured_at]
+      );
+    },
+
+    insertAlerts: (rows) => write('alert_log', rows, false),
+
+    recentAlerts: ({ since }) => query(
+      'alert_log',
+      'SELECT * FROM alert_log WHERE fired_at >= ?',
+      [new Date(toTime(since)).toISOString()]
+    ),
+
+    insertRun: (row) => write('snapshot_runs', row, false),
+
+    recentRuns: ({ status, limit = 20 } = {}) => query(
+      'snapshot_runs',
+      `SELECT * FROM snapshot_runs${status ? ' WHERE status = ?' : ''} ORDER BY started_at DESC LIMIT ${parseInt(limit)}`,
+      status ? [status] : []
+    ),
+  };
+};
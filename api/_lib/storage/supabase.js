@@ -0,0 +1,88 @@
+// Supabase (PostgREST) backend, configured by SUPABASE_URL and SUPABASE_KEY.
+// Writes need a key allowed to insert into the tables.
+
+// Captures per `captured_at=in.(...)` request: keeps the query string well
+// under the gateway's URL limit and the rows under PostgREST's default
+// 1000-row cap.
+const CAPTURES_PER_REQUEST = 30;
+
+export const createSupabaseStorage = ({ url = process.env.SUPABASE_URL, key = process.env.SUPABASE_KEY } = {}) => {
+  if (!url || !key) {
+    throw new Error('SUPABASE_URL and SUPABASE_KEY must be set (or choose another STORAGE_BACKEND)');
+  }
+
+  const headers = {
+    'apikey': key,
+    'Authorization': `Bearer ${key}`,
+  };
+
+  const check = async (response) => {
+    if (!response.ok) {
+      const error = await response.text();
+      throw new Error(`Supabase error: ${error}`);
+    }
+    return response;
+  };
+
+  const get = async (query) => {
+    const response = await fetch(`${url}/rest/v1/${query}`, { headers });
+    await check(response);
+    return response.json();
+  };
+
+  const post = async (table, rows, prefer) => {
+    const response = await fetch(`${url}/rest/v1/${table}`, {
+      method: 'POST',
+      headers: { ...headers, 'Content-Type': 'application/json', ...(prefer ? { 'Prefer': prefer } : {}) },
+      body: JSON.stringify(rows)
+    });
+    await check(response);
+  };
+
+  return {
+    name: 'supabase',
+
+    upsertHistory: (records) => post('term_spread_history', records, 'resolution=merge-duplicates'),
+
+    queryHistory: async ({ asset, from, to, limit } = {}) => {
+      const filters = [
+        asset && `asset=eq.${asset}`,
+        from && `date=gte.${from}`,
+        to && `date=lte.${to}`,
+        limit && `limit=${parseInt(limit)}`,
+      ].filter(Boolean).map(f => `&${f}`).join('');
+      const rows = await get(`term_spread_history?select=*${filters}&order=date.desc`);
+      return rows.reverse();
+    },
+
+    insertSnapshot: (rows) => post('market_snapshots', rows, 'resolution=merge-duplicates'),
+
+    queryCaptures: async ({ asset, capturedAt }) => {
+      const chunks = [];
+      for (let i = 0; i < capturedAt.length; i += CAPTURES_PER_REQUEST) {
+        chunks.push(capturedAt.slice(i, i + CAPTURES_PER_REQUEST));
+      }
+      const results = await Promise.all(chunks.map(chunk => {
+        const captures = chunk.map(t => `"${t}"`).join(',');
+        return get(`market_snapshots?select=*&asset=eq.${asset}&captured_at=in.(${encodeURIComponent(captures)})&order=expiry.asc`);
+      }));
+      return results.flat().sort((a, b) => new Date(a.expiry) - new Date(b.expiry));
+    },
+
+    latestCapture: async ({ asset, before, inclusive = false, complete = false }) => {
+      const time = encodeURIComponent(new Date(before).toISOString());
+      const [latest] = await get(`market_snapshots?select=captured_at&asset=eq.${asset}&captured_at=${inclusive ? 'lte' : 'lt'}.${time}${complete ? '&partial=is.false' : ''}&order=captured_at.desc&limit=1`);
+      if (!latest) return [];
+      return get(`market_snapshots?select=*&asset=eq.${asset}&captured_at=eq.${encodeURIComponent(latest.captured_at)}&order=expiry.asc`);
+    },
+
+    insertAlerts: (rows) => post('alert_log', rows),
+
+    recentAlerts: ({ since }) => get(`alert_log?select=*&fired_at=gte.${encodeURIComponent(new Date(since).toISOString())}`),
+
+    insertRun: (row) => post('snapshot_runs', [row]),
+
+    recentRuns: ({ status, limit = 20 } = {}) =>
+      get(`snapshot_runs?select=*${status ? `&status=eq.${status}` : ''}&order=started_at.desc&limit=${parseInt(limit)}`),
+  };
+};
@@ -0,0 +1,179 @@
+import { getAsset, getAssetChains, getQualityRules } from '../src/lib/assets';
+import { fetchMarkets, fetchMarketHistory } from '../src/lib/pendleClient';
+import { filterAssetMarkets } from '../src/lib/termStructure';
+import { PENDLE_OPTIONS } from './_lib/pendle';
+import { buildSnapshot } from './_lib/snapshotRecord';
+import { getStorage } from './_lib/storage';
+import { requireCronSecret } from './_lib/auth';
+
+const MAX_BACKFILL_DAYS = 365;
+
+// Market histories fetched at once; a year of an asset on several chains is
+// dozens of markets, too slow one after another for the function's limit.
+const HISTORY_CONCURRENCY = 4;
+
+// Same choice as the snapshot cron: 'flag' stores days that fail a
+// data-quality check with quality_flags set, 'reject' skips them.
+const ON_QUALITY_FAILURE = process.env.SNAPSHOT_ON_QUALITY_FAILURE || 'flag';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const parseDay = (value) => {
+  const date = new Date(`${value}T00:00:00.000Z`);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+const dayKey = (date) => new Date(date).toISOString().split('T')[0];
+
+// Runs `task` over `items` with at most `limit` in flight, results in input
+// order. Rejects with the first failure and starts nothing after it.
+const mapWithConcurrency = async (items, limit, task) => {
+  const results = new Array(items.length);
+  let next = 0;
+  let failed = false;
+  const worker = async () => {
+    while (!failed && next < items.length) {
+      const i = next++;
+      try {
+        results[i] = await task(items[i]);
+      } catch (error) {
+        failed = true;
+        throw error;
+      }
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+};
+
+// Rebuilds daily term_spread_history (and market_snapshots) for one asset
+// from Pendle's per-market daily history, through the same buildSnapshot as
+// the hourly cron. Days already stored are left alone unless overwrite=true,
+// so reruns are idempotent. Takes from/to (YYYY-MM-DD) or `days` before
+// today (default 90); today itself is left to the live snapshot. Requires
+// CRON_SECRET, like the snapshot.
+export default async function handler(req, res) {
+  if (!requireCronSecret(req, res)) return;
+
+  try {
+    const asset = getAsset(req.query.asset);
+    if (!asset) {
+      return res.status(400).json({ error: `Unknown asset: ${req.query.asset}` });
+    }
+
+    const today = parseDay(dayKey(new Date()));
+    const to = req.query.to ? parseDay(req.query.to) : new Date(today.getTime() - DAY_MS);
+    const days = parseInt(req.query.days) || 90;
+    const from = req.query.from ? parseDay(req.query.from) : to && new Date(to.getTime() - (days - 1) * DAY_MS);
+    if (!from || !to || from > to) {
+      return res.status(400).json({ error: 'from and to must be YYYY-MM-DD dates with from <= to' });
+    }
+    if ((to - from) / DAY_MS + 1 > MAX_BACKFILL_DAYS) {
+      return res.status(400).json({ error: `Backfill at most ${MAX_BACKFILL_DAYS} days per request` });
+    }
+    const overwrite = req.query.overwrite === 'true';
+
+    // Markets that expired inside the range were on the curve back then.
+    const chains = getAssetChains(asset);
+    const listings = await Promise.all([
+      fetchMarkets(chains, PENDLE_OPTIONS),
+      fetchMarkets(chains, { ...PENDLE_OPTIONS, listing: 'inactive' }),
+    ]);
+    const failed = [...new Set(listings.flatMap(l => l.failed))];
+    if (failed.length > 0) {
+      return res.status(502).json({ error: `Pendle fetch failed for ${failed.join(', ')}; nothing stored`, failed_chains: failed });
+    }
+
+    const byAddress = new Map();
+    filterAssetMarkets(listings.flatMap(l => l.markets), asset)
+      .filter(m => new Date(m.expiry) > from)
+      .forEach(m => byAddress.set(`${m.chainId}:${m.address}`, m));
+    const markets = [...byAddress.values()];
+
+    // A market whose history cannot be read would silently bend every day's
+    // curve, so any failure aborts the backfill.
+    let histories;
+    try {
+      histories = await mapWithConcurrency(markets, HISTORY_CONCURRENCY, async (market) => {
+        const chain = chains.find(c => c.id === market.chainId);
+        const end = new Date(Math.min(to.getTime() + DAY_MS - 1, new Date(market.expiry).getTime()));
+        try {
+          return await fetchMarketHistory(chain, market.address, { ...PENDLE_OPTIONS, from, to: end });
+        } catch (historyError) {
+          throw new Error(`Pendle history failed for ${market.name} ${market.address} (${chain.name}): ${historyError.message}`);
+        }
+      });
+    } catch (historyError) {
+      return res.status(502).json({ error: `${historyError.message}; nothing stored` });
+    }
+
+    const byDay = new Map();
+    markets.forEach((market, i) => {
+      histories[i].forEach(point => {
+        const day = dayKey(point.timestamp);
+        if (!byDay.has(day)) byDay.set(day, []);
+        byDay.get(day).push({
+          address: market.address,
+          name: market.name,
+          expiry: market.expiry,
+          chain: market.chain,
+          chainId: market.chainId,
+          details: { impliedApy: point.impliedApy, underlyingApy: point.underlyingApy, liquidity: point.tvl || 0 },
+        });
+      });
+    });
+
+    // Stored days from a jump window before the range, replaced by each
+    // rebuilt day in turn, are what the spread jump check compares against.
+    const storage = getStorage();
+    const { jumpWindowDays } = getQualityRules(asset);
+    const stored = await storage.queryHistory({ asset: asset.id, from: dayKey(from.getTime() - jumpWindowDays * DAY_MS), to: dayKey(to) });
+    const existing = new Set(stored.filter(r => r.date >= dayKey(from)).map(r => r.date));
+    const known = new Map(stored.map(r => [r.date, r]));
+
+    const records = [];
+    const marketRows = [];
+    const skipped = [];
+    [...byDay.keys()].sort().forEach(day => {
+      const now = parseDay(day);
+      if (now < from || now > to) return;
+      if (existing.has(day) && !overwrite) {
+        skipped.push({ date: day, reason: 'exists' });
+        return;
+      }
+      const history = [...known.values()].sort((a, b) => a.date.localeCompare(b.date));
+      const built = buildSnapshot(asset, byDay.get(day), { now, capturedAt: now.toISOString(), source: 'backfill', history });
+      if (built.skipped) {
+        skipped.push({ date: day, reason: built.skipped.message });
+        return;
+      }
+      if (built.quality.length > 0 && ON_QUALITY_FAILURE === 'reject') {
+        skipped.push({ date: day, reason: built.quality.map(q => q.message).join('; ') });
+        return;
+      }
+      known.set(day, built.record);
+      records.push(built.record);
+      marketRows.push(...built.marketRows);
+    });
+
+    if (records.length > 0) {
+      await storage.insertSnapshot(marketRows);
+      await storage.upsertHistory(records);
+    }
+
+    return res.status(200).json({
+      success: true,
+      asset: asset.id,
+      from: dayKey(from),
+      to: dayKey(to),
+      markets: markets.length,
+      count: records.length,
+      skipped,
+      flagged: records.filter(r => r.quality_flags).length,
+      data: records.map(r => ({ date: r.date, term_spread: r.term_spread, markets_count: r.markets_count, quality_flags: r.quality_flags }))
+    });
+
+  } catch (error) {
+    console.error('Backfill error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+}
@@ -0,0 +1,50 @@
+import { runBacktest, DEFAULT_HORIZONS } from '../src/lib/backtest';
+import { computeSpreadStats } from '../src/lib/spreadStats';
+import { getAsset } from '../src/lib/assets';
+import { loadPrices } from './_lib/prices';
+import { getStorage } from './_lib/storage';
+
+export default async function handler(req, res) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  try {
+    const asset = getAsset(req.query.asset);
+    if (!asset) {
+      return res.status(400).json({ error: `Unknown asset: ${req.query.asset}` });
+    }
+
+    const priceAsset = (req.query.price || 'ena').toLowerCase();
+    const horizons = req.query.horizons
+      ? req.query.horizons.split(',').map(h => parseInt(h)).filter(h => h > 0)
+      : DEFAULT_HORIZONS;
+
+    const data = await getStorage().queryHistory({ asset: asset.id, limit: 3650 });
+    const series = data.map(row => ({ date: row.date, spread: parseFloat(row.term_spread) }));
+
+    if (series.length === 0) {
+      return res.status(200).json({ success: true, asset: asset.id, price: priceAsset, count: 0, horizons: {} });
+    }
+
+    const spanDays = Math.ceil((Date.now() - new Date(series[0].date)) / (1000 * 60 * 60 * 24));
+    const prices = await loadPrices(priceAsset, { source: req.query.source, days: Math.max(spanDays + 1, 90) });
+    const { thresholds } = computeSpreadStats(series);
+
+    return res.status(200).json({
+      success: true,
+      asset: asset.id,
+      price: priceAsset,
+      count: series.length,
+      thresholds,
+      horizons: runBacktest(series, prices, { horizons, thresholds })
+    });
+
+  } catch (error) {
+    console.error('Backtest error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+}
@@ -0,0 +1,54 @@
+import { getAsset } from '../src/lib/assets';
+import { getStorage } from './_lib/storage';
+
+// One curve per day: the per-market rows of the capture that produced that
+// day's term_spread_history record.
+export default async function handler(req, res) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  try {
+    const asset = getAsset(req.query.asset);
+    if (!asset) {
+      return res.status(400).json({ error: `Unknown asset: ${req.query.asset}` });
+    }
+
+    const days = parseInt(req.query.days) || 90;
+    const limitedDays = Math.min(days, 365);
+
+    const storage = getStorage();
+    const daily = (await storage.queryHistory({ asset: asset.id, limit: limitedDays }))
+      .filter(d => d.captured_at);
+
+    if (daily.length === 0) {
+      return res.status(200).json({ success: true, asset: asset.id, count: 0, data: [] });
+    }
+
+    const rows = await storage.queryCaptures({ asset: asset.id, capturedAt: daily.map(d => d.captured_at) });
+
+    const byCapture = new Map(daily.map(d => [new Date(d.captured_at).getTime(), { date: d.date, captured_at: d.captured_at, markets: [] }]));
+    rows.forEach(row => {
+      const curve = byCapture.get(new Date(row.captured_at).getTime());
+      if (curve) curve.markets.push(row);
+    });
+
+    const chronological = [...byCapture.values()]
+      .filter(c => c.markets.length > 0)
+      .sort((a, b) => a.date.localeCompare(b.date));
+
+    return res.status(200).json({
+      success: true,
+      asset: asset.id,
+      count: chronological.length,
+      data: chronological
+    });
+
+  } catch (error) {
+    console.error('Curve history error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+}
@@ -0,0 +1,52 @@
+import { getAsset } from '../src/lib/assets';
+import { sendCsv, EXPORT_FORMATS } from './_lib/csv';
+import { getCurve, curveBody, CURVE_TTL_SECONDS, CURVE_STALE_SECONDS } from './_lib/curve';
+
+const CURVE_FIELDS = ['chain', 'chain_id', 'address', 'name', 'expiry', 'days_to_expiry', 'implied_apy', 'underlying_apy', 'liquidity', 'pt_price', 'liquidity_flag'];
+
+// Current per-market term structure of one asset, in the market_snapshots
+// row format, with the spread record the cron would store for it. Served from
+// a short cache so browsers never hit Pendle directly.
+export default async function handler(req, res) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  try {
+    const asset = getAsset(req.query.asset);
+    if (!asset) {
+      return res.status(400).json({ error: `Unknown asset: ${req.query.asset}` });
+    }
+
+    const format = (req.query.format || 'json').toLowerCase();
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ error: `Unknown format: ${req.query.format}` });
+    }
+
+    let cached;
+    try {
+      cached = await getCurve(asset);
+    } catch (loadError) {
+      return res.status(502).json({ error: loadError.message });
+    }
+    const { value, fetchedAt } = cached;
+    const fetchedIso = new Date(fetchedAt).toISOString();
+
+    // Lets the CDN share the same cache across instances; a curve served
+    // because Pendle is failing is not worth caching there.
+    res.setHeader('Cache-Control', cached.error ? 'no-store' : `public, s-maxage=${CURVE_TTL_SECONDS}, stale-while-revalidate=${CURVE_STALE_SECONDS}`);
+
+    if (format === 'csv') {
+      return sendCsv(res, value.rows, CURVE_FIELDS, `${asset.id}-term-structure-${fetchedIso.split('T')[0]}.csv`);
+    }
+
+    return res.status(200).json(curveBody(asset, cached));
+
+  } catch (error) {
+    console.error('Curve error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+}
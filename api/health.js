@@ -0,0 +1,73 @@
+import { ASSETS, getAsset } from '../src/lib/assets';
+import { getStorage } from './_lib/storage';
+
+// The hourly cron plus some slack; raise it (e.g. to 26) when the cron only
+// runs daily.
+const STALE_AFTER_HOURS = parseFloat(process.env.HEALTH_STALE_HOURS) || 3;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const runSummary = (run) => run ? {
+  started_at: run.started_at,
+  date: run.date,
+  status: run.status,
+  duration_ms: run.duration_ms,
+  error: run.error,
+} : null;
+
+// Last snapshot run, last successful one and, per asset, how old the latest
+// stored spread is. Answers 503 when any asset's history is stale so uptime
+// monitors can watch it; ?asset= narrows the check to one asset. Assets with
+// nothing stored yet (e.g. just added to ASSETS) are listed in no_history
+// and do not count as stale.
+export default async function handler(req, res) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET');
+  res.setHeader('Cache-Control', 'no-store');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  try {
+    const assets = req.query.asset ? [getAsset(req.query.asset)] : ASSETS;
+    if (assets.includes(null)) {
+      return res.status(400).json({ error: `Unknown asset: ${req.query.asset}` });
+    }
+
+    const now = new Date();
+    const storage = getStorage();
+    const [[lastRun], [lastSuccess]] = await Promise.all([
+      storage.recentRuns({ limit: 1 }),
+      storage.recentRuns({ status: 'success', limit: 1 }),
+    ]);
+
+    const history = await Promise.all(assets.map(async (asset) => {
+      const [latest] = await storage.queryHistory({ asset: asset.id, limit: 1 });
+      const ageHours = latest ? (now - new Date(latest.captured_at || `${latest.date}T00:00:00.000Z`)) / HOUR_MS : null;
+      return {
+        asset: asset.id,
+        date: latest ? latest.date : null,
+        captured_at: latest ? latest.captured_at : null,
+        age_hours: ageHours === null ? null : parseFloat(ageHours.toFixed(2)),
+        stale: ageHours !== null && ageHours > STALE_AFTER_HOURS,
+      };
+    }));
+
+    const stale = history.some(h => h.stale);
+    return res.status(stale ? 503 : 200).json({
+      success: !stale,
+      status: stale ? 'stale' : 'ok',
+      checked_at: now.toISOString(),
+      stale_after_hours: STALE_AFTER_HOURS,
+      last_run: runSummary(lastRun),
+      last_success: runSummary(lastSuccess),
+      assets: history,
+      no_history: history.filter(h => h.date === null).map(h => h.asset)
+    });
+
+  } catch (error) {
+    console.error('Health error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+}
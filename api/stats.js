@@ -0,0 +1,37 @@
+import { computeSpreadStats, RESEARCH_STATS } from '../src/lib/spreadStats';
+import { getAsset } from '../src/lib/assets';
+import { getStorage } from './_lib/storage';
+
+export default async function handler(req, res) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  try {
+    const asset = getAsset(req.query.asset);
+    if (!asset) {
+      return res.status(400).json({ error: `Unknown asset: ${req.query.asset}` });
+    }
+
+    const days = parseInt(req.query.days) || 3650;
+    const limitedDays = Math.min(days, 3650);
+    const current = req.query.spread !== undefined ? parseFloat(req.query.spread) : undefined;
+
+    const data = await getStorage().queryHistory({ asset: asset.id, limit: limitedDays });
+    const series = data.map(row => ({ date: row.date, spread: parseFloat(row.term_spread) }));
+
+    return res.status(200).json({
+      success: true,
+      asset: asset.id,
+      stats: computeSpreadStats(series, Number.isNaN(current) ? undefined : current),
+      reference: RESEARCH_STATS
+    });
+
+  } catch (error) {
+    console.error('Stats error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+}
@@ -0,0 +1,100 @@
+import { getAsset } from '../src/lib/assets';
+import { getStorage } from './_lib/storage';
+import { getCurve, curveBody } from './_lib/curve';
+
+// How often the stream re-reads the (cached) curve and the latest stored
+// record, and how long one connection stays open. EventSource reconnects on
+// its own after RETRY_MS once the function closes the response.
+const POLL_SECONDS = parseInt(process.env.STREAM_POLL_SECONDS) || 15;
+const MAX_SECONDS = parseInt(process.env.STREAM_MAX_SECONDS) || 55;
+const RETRY_MS = 5000;
+
+// What a client sees of the curve; a reload that changes none of it is not
+// pushed.
+const curveSignature = (value) => JSON.stringify([
+  value.rows.map(r => [r.chain_id, r.address, r.implied_apy, r.underlying_apy, r.liquidity, r.liquidity_flag]),
+  value.chains.map(c => c.ok),
+]);
+
+const latestRecord = async (asset) => {
+  const [latest] = await getStorage().queryHistory({ asset: asset.id, limit: 1 });
+  return latest || null;
+};
+
+// Server-sent events for one asset:
+//   curve        the /api/curve body, on connect and whenever the curve changes
+//                (id = fetched_at, so a reconnect that already has it skips it)
+//   snapshot     a term_spread_history record stored by the cron since connect
+//   curve-error  { error } when Pendle fails with nothing cached
+export default async function handler(req, res) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  const asset = getAsset(req.query.asset);
+  if (!asset) {
+    return res.status(400).json({ error: `Unknown asset: ${req.query.asset}` });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.write(`retry: ${RETRY_MS}\n\n`);
+
+  let closed = false;
+  let wake = null;
+  req.on('close', () => {
+    closed = true;
+    if (wake) wake();
+  });
+  const sleep = (ms) => new Promise(resolve => {
+    const timer = setTimeout(resolve, ms);
+    wake = () => { clearTimeout(timer); resolve(); };
+  });
+
+  const send = (event, data, id) => {
+    if (closed) return;
+    res.write(`event: ${event}\n${id ? `id: ${id}\n` : ''}data: ${JSON.stringify(data)}\n\n`);
+  };
+
+  const deadline = Date.now() + MAX_SECONDS * 1000;
+  let lastSignature = null;
+  let lastFetchedAt = req.headers['last-event-id'] || null;
+  let lastCaptured;
+
+  try {
+    while (!closed && Date.now() < deadline) {
+      try {
+        const cached = await getCurve(asset);
+        const fetchedAt = new Date(cached.fetchedAt).toISOString();
+        const signature = curveSignature(cached.value);
+        if (fetchedAt !== lastFetchedAt && signature !== lastSignature) {
+          send('curve', curveBody(asset, cached), fetchedAt);
+        }
+        lastFetchedAt = fetchedAt;
+        lastSignature = signature;
+      } catch (curveError) {
+        send('curve-error', { error: curveError.message });
+      }
+
+      const latest = await latestRecord(asset);
+      const captured = latest ? `${latest.date}|${latest.captured_at}` : null;
+      if (lastCaptured !== undefined && captured !== lastCaptured) send('snapshot', latest);
+      lastCaptured = captured;
+
+      // Comment line: keeps proxies from timing the connection out.
+      if (!closed) res.write(': ping\n\n');
+      await sleep(Math.min(POLL_SECONDS * 1000, Math.max(deadline - Date.now(), 0)));
+    }
+  } catch (error) {
+    console.error('Stream error:', error);
+  } finally {
+    res.end();
+  }
+}
@@ -0,0 +1,19 @@
+// Local stand-in for the alert channels. Point the notifiers at it, e.g.
+//   ALERT_WEBHOOK_URL=http://localhost:4010/webhook
+//   DISCORD_WEBHOOK_URL=http://localhost:4010/discord
+//   TELEGRAM_API_BASE=http://localhost:4010/telegram
+// and every delivered alert is printed here.
+const http = require('http');
+
+const PORT = parseInt(process.env.PORT) || 4010;
+
+http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    console.log(`[${new Date().toISOString()}] ${req.method} ${req.url}`);
+    if (body) console.log(body);
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ ok: true }));
+  });
+}).listen(PORT, () => console.log(`Mock alert receiver on http://localhost:${PORT}`));
@@ -0,0 +1,121 @@
+// Local stand-in for the Pendle API, serving /core/v1/<chainId>/markets/active
+// and /markets/inactive with `limit`/`skip` pagination, and daily
+// /markets/<address>/historical-data. Point the snapshot or backfill at it with
+//   PENDLE_API_BASE=http://localhost:4020/core/v1
+// and exercise the failure paths with
+//   MOCK_PENDLE_FAIL_CHAINS=42161        always answer 503 for these chains
+//   MOCK_PENDLE_FLAKY=2                  fail the first N requests of each chain
+//   MOCK_PENDLE_MALFORMED_CHAINS=8453    answer with a body that has no markets
+//   MOCK_PENDLE_DELAY_MS=15000           delay every response (timeouts)
+//   MOCK_PENDLE_IGNORE_SKIP=1            always serve the first page
+// Tests start it in-process with createMockPendleServer(options).
+const http = require('http');
+
+const PORT = parseInt(process.env.PORT) || 4020;
+const list = (value) => (value || '').split(',').filter(Boolean).map(Number);
+
+const CHAIN_MARKETS = {
+  1: ['sUSDe', 'USDe', 'sENA', 'weETH', 'eETH'],
+  42161: ['weETH'],
+  8453: ['weETH'],
+  9745: ['sUSDe', 'USDe'],
+};
+const MATURITIES = [20, 60, 120, 200, 300];
+const EXPIRED = [-10, -45];
+const DAY_MS = 86400000;
+const today = () => Math.floor(Date.now() / DAY_MS) * DAY_MS;
+
+// Deterministic curves: slightly inverted for the stablecoins, upward for ETH.
+// `i` is the maturity rank, so expired markets sit at the front of the curve.
+const market = (chainId, name, n, days, i, prefix) => {
+  const eth = name.toLowerCase().includes('eth');
+  const impliedApy = eth ? 0.03 + i * 0.002 : 0.1 - i * 0.004 + chainId % 7 * 0.001;
+  return {
+    address: `0x${prefix}${chainId.toString(16)}${n}${i}`.padEnd(42, '0'),
+    name,
+    expiry: new Date(today() + days * DAY_MS).toISOString(),
+    details: {
+      impliedApy: parseFloat(impliedApy.toFixed(4)),
+      underlyingApy: eth ? 0.028 : 0.07,
+      liquidity: i === MATURITIES.length - 1 ? 50000 : 2500000 - i * 400000,
+    },
+  };
+};
+
+const marketsFor = (chainId, listing) => (CHAIN_MARKETS[chainId] || []).flatMap((name, n) =>
+  listing === 'inactive'
+    ? EXPIRED.map((days, i) => market(chainId, name, n, days, i, 'e'))
+    : MATURITIES.map((days, i) => market(chainId, name, n, days, i, 'a'))
+);
+
+// One point per day until expiry; the curve breathes so backfilled spreads move.
+const historyFor = (chainId, address, start, end) => {
+  const m = [...marketsFor(chainId, 'active'), ...marketsFor(chainId, 'inactive')].find(x => x.address === address);
+  if (!m) return null;
+  const last = Math.min(end, new Date(m.expiry).getTime());
+  const results = [];
+  for (let t = Math.ceil(start / DAY_MS) * DAY_MS; t <= last; t += DAY_MS) {
+    const wave = Math.sin(t / DAY_MS / 12) * 0.01 * (new Date(m.expiry).getTime() - t) / (300 * DAY_MS);
+    results.push({
+      timestamp: new Date(t).toISOString(),
+      impliedApy: parseFloat((m.details.impliedApy + wave).toFixed(4)),
+      underlyingApy: m.details.underlyingApy,
+      tvl: m.details.liquidity,
+    });
+  }
+  return results;
+};
+
+const createMockPendleServer = ({
+  failChains = [],
+  malformedChains = [],
+  flaky = 0,
+  delayMs = 0,
+  ignoreSkip = false,
+  log = false,
+} = {}) => {
+  const requests = {};
+
+  return http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const match = url.pathname.match(/^\/core\/v1\/(\d+)\/markets\/(active|inactive|0x[0-9a-f]+)(\/historical-data)?$/);
+    const reply = (status, body) => setTimeout(() => {
+      if (log) console.log(`[${new Date().toISOString()}] ${req.method} ${req.url} -> ${status}`);
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(body));
+    }, delayMs);
+
+    if (!match || (match[2].startsWith('0x') && !match[3])) return reply(404, { message: 'Not found' });
+    const chainId = parseInt(match[1]);
+    requests[chainId] = (requests[chainId] || 0) + 1;
+
+    if (failChains.includes(chainId) || requests[chainId] <= flaky) return reply(503, { message: 'Service unavailable' });
+    if (malformedChains.includes(chainId)) return reply(200, { data: 'maintenance' });
+
+    if (match[3]) {
+      const start = new Date(url.searchParams.get('timestamp_start') || 0).getTime();
+      const end = new Date(url.searchParams.get('timestamp_end') || Date.now()).getTime();
+      const results = historyFor(chainId, match[2], start, end);
+      if (!results) return reply(404, { message: 'Market not found' });
+      return reply(200, { total: results.length, results });
+    }
+
+    const limit = parseInt(url.searchParams.get('limit')) || 100;
+    const skip = ignoreSkip ? 0 : parseInt(url.searchParams.get('skip')) || 0;
+    const markets = marketsFor(chainId, match[2]);
+    return reply(200, { total: markets.length, limit, skip, markets: markets.slice(skip, skip + limit) });
+  });
+};
+
+module.exports = { createMockPendleServer };
+
+if (require.main === module) {
+  createMockPendleServer({
+    failChains: list(process.env.MOCK_PENDLE_FAIL_CHAINS),
+    malformedChains: list(process.env.MOCK_PENDLE_MALFORMED_CHAINS),
+    flaky: parseInt(process.env.MOCK_PENDLE_FLAKY) || 0,
+    delayMs: parseInt(process.env.MOCK_PENDLE_DELAY_MS) || 0,
+    ignoreSkip: !!process.env.MOCK_PENDLE_IGNORE_SKIP,
+    log: true,
+  }).listen(PORT, () => console.log(`Mock Pendle API on http://localhost:${PORT}/core/v1`));
+}
@@ -1,147 +1,435 @@
-import React, { useState, useEffect, useCallback } from 'react';
-import { XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, Area, AreaChart, ReferenceLine, BarChart, Bar, Cell } from 'recharts';
+import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import { XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, Area, ReferenceLine, ReferenceArea, BarChart, Bar, Cell, LineChart, Line, ComposedChart } from 'recharts';
+import { fromSnapshotRow, groupByChain, chainSpreads, crossChainBasis, curveMarkets } from './lib/termStructure';
+import { ASSETS, CHAINS, DEFAULT_ASSET, getAsset, getAssetChains, getReferenceChain } from './lib/assets';
+import { constantMaturityYields, CONSTANT_MATURITIES, DEFAULT_CURVE_METHOD } from './lib/curveFit';
+import { RESEARCH_STATS, REGIMES, ROLLING_WINDOW, classifyRegime, classifySignal, regimeRuns, rollingStats } from './lib/spreadStats';
+import { withAnalytics, weightedUnderlyingApy } from './lib/marketAnalytics';
+import { QUALITY_FLAG_LABELS } from './lib/dataQuality';
 
-const CHAINS = [
-  { id: 1, name: 'Ethereum' },
-  { id: 9745, name: 'Plasma' },
+const HISTORY_API = '/api/history';
+const CURVE_API = '/api/curve';
+const CURVE_HISTORY_API = '/api/curve-history';
+const STATS_API = '/api/stats';
+const BACKTEST_API = '/api/backtest';
+const HEALTH_API = '/api/health';
+const STREAM_API = '/api/stream';
+const POLL_INTERVAL_MS = 5 * 60 * 1000;
+const BACKTEST_PRICE = 'ena';
+const BACKTEST_HORIZONS = [30, 60, 90];
+
+// `days: null` loads everything stored.
+const HISTORY_RANGES = [
+  { label: '30D', days: 30 },
+  { label: '90D', days: 90 },
+  { label: '1Y', days: 365 },
+  { label: 'All', days: null },
 ];
 
-const PENDLE_API_BASE = 'https://api-v2.pendle.finance/core/v1';
-const HISTORY_API = '/api/history';
+const REGIME_COLORS = {
+  [REGIMES.CONTANGO]: '#10b981',
+  [REGIMES.BACKWARDATION]: '#f59e0b',
+  [REGIMES.STEEP_BACKWARDATION]: '#ef4444',
+};
+
+// Forward-return probabilities per signal, from the research sample; only
+// shown while the research cut-offs are in use.
+const SIGNALS = {
+  BULLISH: { color: '#10b981', probability: '80%+ prob. positive returns (90d, research)' },
+  NEUTRAL: { color: '#f59e0b', probability: '~50% prob. positive returns (90d, research)' },
+  CAUTIOUS: { color: '#f97316', probability: '~40% prob. positive returns (90d, research)' },
+  BEARISH: { color: '#ef4444', probability: '<20% prob. positive returns (90d, research)' },
+};
+
+// Horizon of the signal card; with cut-offs derived from our own history it
+// shows the backtest's hit rate at this horizon.
+const SIGNAL_HORIZON = 90;
+
+const OVERLAY_LOOKBACKS = [
+  { label: '1W ago', days: 7, color: '#f59e0b' },
+  { label: '1M ago', days: 30, color: '#f472b6' },
+  { label: '3M ago', days: 90, color: '#94a3b8' },
+];
+
+// Stored curves loaded for the replay slider and overlays: the most
+// /api/curve-history serves, well past the longest lookback.
+const CURVE_HISTORY_DAYS = 365;
+
+// Second series on the term structure chart, on its own axis.
+const CURVE_SERIES = {
+  premium: { label: 'Premium (Implied - Underlying)', color: '#f472b6' },
+  rollYield: { label: 'Roll Yield (Fwd)', color: '#34d399' },
+};
+
+// Markets table columns; `key` is the chart point field it sorts by (Expiry
+// follows Days).
+const MARKET_COLUMNS = [
+  { key: 'name', label: 'Market', align: 'left' },
+  { key: 'chain', label: 'Chain', align: 'left' },
+  { key: null, label: 'Expiry' },
+  { key: 'days', label: 'Days' },
+  { key: 'impliedYield', label: 'Implied APY' },
+  { key: 'underlyingYield', label: 'Underlying' },
+  { key: 'premium', label: 'Premium', title: 'Implied APY minus underlying APY' },
+  { key: 'ptPrice', label: 'PT Price' },
+  { key: 'ptDiscount', label: 'Discount', title: 'PT discount to par' },
+  { key: 'fixedReturn', label: 'Fixed Return', title: 'Return to maturity from buying the PT now (not annualised)' },
+  { key: 'ytBreakeven', label: 'YT Breakeven', title: 'Underlying APY at which buying the YT breaks even' },
+  { key: 'rollYield', label: 'Roll Yield', title: 'Annualised forward rate from the previous maturity on the curve' },
+  { key: 'tvl', label: 'TVL' },
+];
+
+const toChartPoint = (market) => ({
+  maturity: market.days <= 14 ? `${market.days}D` : `${Math.round(market.days / 30)}M`,
+  days: market.days,
+  impliedYield: market.impliedApy,
+  underlyingYield: market.underlyingApy,
+  expiry: new Date(market.expiry).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' }),
+  tvl: market.liquidity, name: market.name, chain: market.chain,
+  address: market.address, liquidityFlag: market.liquidityFlag || null,
+  premium: market.premium ?? null, ptPrice: market.ptPrice ?? null, ptDiscount: market.ptDiscount ?? null,
+  fixedReturn: market.fixedReturn ?? null, ytBreakeven: market.ytBreakevenApy ?? null, rollYield: market.rollYield ?? null,
+});
+
+// History points that failed a data-quality check.
+const renderFlaggedDot = ({ cx, cy, index, payload }) => payload.qualityFlags
+  ? <circle key={index} cx={cx} cy={cy} r={4} stroke="#f59e0b" strokeWidth={2} fill="#0f172a" />
+  : null;
+
+const marketKey = (point) => `${point.chain}:${point.address}`;
+
+// New curve points, keeping the previous object for every market whose
+// values did not change so only changed rows and dots re-render.
+const patchPoints = (previous, next) => {
+  const byKey = new Map(previous.map(p => [marketKey(p), p]));
+  return next.map(point => {
+    const old = byKey.get(marketKey(point));
+    return old && Object.keys(point).every(k => point[k] === old[k]) ? old : point;
+  });
+};
+
+// Implied APY move of a market since the previous curve update.
+const renderChange = (change) => {
+  if (change === undefined) return null;
+  const style = { marginLeft: '6px', fontSize: '10px', fontWeight: 500 };
+  if (change === 'new') return <span style={{ ...style, color: '#a78bfa' }} title="Listed since the previous update">NEW</span>;
+  return (
+    <span style={{ ...style, color: change > 0 ? '#10b981' : '#ef4444' }} title="Change since the previous update">
+      {change > 0 ? '▲' : '▼'} {Math.abs(change).toFixed(2)}
+    </span>
+  );
+};
+
+const renderCurveDot = ({ cx, cy, index, payload }) => (
+  <circle key={index} cx={cx} cy={cy} r={6} stroke={payload.liquidityFlag === 'low' ? '#f59e0b' : '#60a5fa'} strokeWidth={2} fill={payload.liquidityFlag === 'low' ? '#0f172a' : '#60a5fa'} />
+);
 
 export default function App() {
+  const [assetId, setAssetId] = useState(DEFAULT_ASSET);
   const [termStructure, setTermStructure] = useState([]);
+  const [curveStructure, setCurveStructure] = useState([]);
+  const [curveMethod, setCurveMethod] = useState(DEFAULT_CURVE_METHOD);
   const [termSpread, setTermSpread] = useState(0);
   const [underlyingYield, setUnderlyingYield] = useState(0);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [failedChains, setFailedChains] = useState([]);
   const [lastUpdate, setLastUpdate] = useState(null);
   const [historicalSpread, setHistoricalSpread] = useState([]);
   const [historySource, setHistorySource] = useState('loading');
+  const [historyRange, setHistoryRange] = useState(90);
+  const [hideFlagged, setHideFlagged] = useState(false);
+  const [health, setHealth] = useState(null);
+  const [marketChanges, setMarketChanges] = useState({});
+  const [streamState, setStreamState] = useState('connecting');
+  const [snapshotCount, setSnapshotCount] = useState(0);
+  // Implied APY per market and fetched_at of the curve last applied, to
+  // tell what an update changed.
+  const lastImplied = useRef(new Map());
+  const lastFetchedAt = useRef(null);
+  // Asset currently selected; responses to requests made for another asset
+  // (still in flight when it was switched) are dropped.
+  const selectedAsset = useRef(assetId);
+  const [curveHistory, setCurveHistory] = useState([]);
+  const [replayIndex, setReplayIndex] = useState(null);
+  const [overlayMode, setOverlayMode] = useState(false);
+  const [spreadStats, setSpreadStats] = useState({ ...RESEARCH_STATS, source: 'research' });
+  const [backtest, setBacktest] = useState(null);
+  const [backtestHorizon, setBacktestHorizon] = useState(90);
+  const [curveSeries, setCurveSeries] = useState('premium');
+  const [sort, setSort] = useState({ key: null, desc: false });
 
-  const fetchHistoricalData = useCallback(async (currentSpread) => {
+  // Loads a rolling window more than the visible range so the bands start
+  // filled, then trims back to the range.
+  const fetchHistoricalData = useCallback(async () => {
     try {
-      const response = await fetch(`${HISTORY_API}?days=90`);
+      const days = historyRange ? historyRange + ROLLING_WINDOW : 'all';
+      const flagged = hideFlagged ? 'exclude' : 'include';
+      const response = await fetch(`${HISTORY_API}?asset=${assetId}&days=${days}&flagged=${flagged}&fields=date,term_spread,cm_spread,quality_flags`);
       if (!response.ok) throw new Error('Failed to fetch history');
       const result = await response.json();
-      
-      if (result.data && result.data.length >= 7) {
-        const formattedData = result.data.map(row => ({
-          date: new Date(row.date).toLocaleDateString('en-US', { month: 'short', day: 'numeric' }),
-          spread: parseFloat(row.term_spread),
-        }));
-        setHistoricalSpread(formattedData);
-        setHistorySource('real');
-      } else {
-        generateSimulatedHistory(currentSpread);
-        setHistorySource('simulated');
-      }
+      if (selectedAsset.current !== assetId) return;
+
+      const series = (result.data || []).map(row => ({
+        date: row.date,
+        spread: parseFloat(row.term_spread),
+        cmSpread: row.cm_spread !== null && row.cm_spread !== undefined ? parseFloat(row.cm_spread) : null,
+        qualityFlags: row.quality_flags && row.quality_flags.length > 0 ? row.quality_flags : null,
+      }));
+      const withStats = rollingStats(series).map(({ mean, std, z, ...point }) => ({
+        ...point,
+        mean,
+        z,
+        band1: mean === null ? null : [mean - std, mean + std],
+        band2: mean === null ? null : [mean - 2 * std, mean + 2 * std],
+      }));
+      const visible = historyRange ? withStats.slice(-historyRange) : withStats;
+      setHistoricalSpread(visible);
+      setHistorySource(visible.length > 0 ? 'real' : 'empty');
     } catch (err) {
-      generateSimulatedHistory(currentSpread);
-      setHistorySource('simulated');
+      if (selectedAsset.current !== assetId) return;
+      setHistoricalSpread([]);
+      setHistorySource('error');
     }
-  }, []);
-
-  const generateSimulatedHistory = (currentSpread) => {
-    const data = [];
-    const today = new Date();
-    for (let i = 90; i >= 0; i--) {
-      const date = new Date(today.getTime() - i * 24 * 60 * 60 * 1000);
-      const baseSpread = currentSpread || -0.8;
-      const variance = Math.sin(i / 15) * 2 + (Math.random() - 0.5) * 1.5;
-      data.push({
-        date: date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' }),
-        spread: parseFloat((baseSpread + variance).toFixed(2)),
-      });
+  }, [assetId, historyRange, hideFlagged]);
+
+  const fetchStats = useCallback(async (currentSpread) => {
+    try {
+      const response = await fetch(`${STATS_API}?asset=${assetId}&spread=${currentSpread}`);
+      if (!response.ok) throw new Error('Failed to fetch stats');
+      const result = await response.json();
+      if (selectedAsset.current !== assetId) return;
+      if (result.stats) setSpreadStats(result.stats);
+    } catch (err) {
+      if (selectedAsset.current !== assetId) return;
+      setSpreadStats({ ...RESEARCH_STATS, source: 'research' });
     }
-    setHistoricalSpread(data);
-  };
+  }, [assetId]);
+
+  // Applies a /api/curve body, whether fetched or pushed by the stream. A
+  // curve already applied is ignored; otherwise the implied APY moves since
+  // the last one become the table's deltas.
+  const applyCurve = useCallback((result) => {
+    if (result.asset !== selectedAsset.current) return;
+    const fetchedAt = result.fetched_at;
+    if (fetchedAt === lastFetchedAt.current) return;
+    lastFetchedAt.current = fetchedAt;
 
-  const fetchPendleMarkets = useCallback(async () => {
+    setFailedChains(result.chains.filter(c => !c.ok).map(c => c.chain));
+
+    if (result.data.length === 0) {
+      setError(`No ${getAsset(assetId).label} markets found`);
+    } else {
+      setError(null);
+      const flagged = withAnalytics(result.data.map(fromSnapshotRow));
+      const structure = curveMarkets(flagged);
+      const points = flagged.map(toChartPoint);
+
+      const before = lastImplied.current;
+      if (before.size > 0) {
+        const changes = {};
+        points.forEach(p => {
+          const key = marketKey(p);
+          if (!before.has(key)) changes[key] = 'new';
+          else if (Math.abs(p.impliedYield - before.get(key)) >= 0.005) changes[key] = p.impliedYield - before.get(key);
+        });
+        setMarketChanges(changes);
+      }
+      lastImplied.current = new Map(points.map(p => [marketKey(p), p.impliedYield]));
+
+      setCurveStructure(structure);
+      setTermStructure(previous => patchPoints(previous, points));
+
+      const spread = result.spread ? parseFloat(result.spread.term_spread.toFixed(2)) : 0;
+      if (result.spread) setTermSpread(spread);
+      const underlying = weightedUnderlyingApy(flagged);
+      if (underlying) setUnderlyingYield(underlying.toFixed(2));
+      fetchStats(spread);
+    }
+    setLastUpdate(new Date(fetchedAt));
+  }, [assetId, fetchStats]);
+
+  // Curve computed server-side by /api/curve (cached there), so the
+  // dashboard and the stored history share one implementation.
+  const fetchCurve = useCallback(async () => {
     try {
       setLoading(true);
       setError(null);
-      
-      const responses = await Promise.all(
-        CHAINS.map(chain =>
-          fetch(`${PENDLE_API_BASE}/${chain.id}/markets/active?limit=200`)
-            .then(r => r.json())
-            .then(data => ({ chain: chain.name, markets: data.markets || [] }))
-            .catch(() => ({ chain: chain.name, markets: [] }))
-        )
-      );
-      
-      const allMarkets = responses.flatMap(r => 
-        r.markets.map(m => ({ ...m, chain: r.chain }))
-      );
-      
-      const susdeMarkets = allMarkets.filter(m => (m.name || '').toLowerCase() === 'susde');
-      
-      if (susdeMarkets.length === 0) {
-        setError('No sUSDe markets found');
-      } else {
-        const spread = processMarkets(susdeMarkets);
-        fetchHistoricalData(spread);
-      }
-      setLastUpdate(new Date());
+
+      const response = await fetch(`${CURVE_API}?asset=${assetId}`);
+      const result = await response.json();
+      if (!response.ok) throw new Error(result.error || 'Failed to fetch curve');
+      applyCurve(result);
     } catch (err) {
-      setError(err.message);
+      if (selectedAsset.current === assetId) setError(err.message);
     } finally {
-      setLoading(false);
+      if (selectedAsset.current === assetId) setLoading(false);
     }
-  }, [fetchHistoricalData]);
-
-  const processMarkets = (markets) => {
-    const sorted = markets
-      .filter(m => m.expiry)
-      .sort((a, b) => new Date(a.expiry) - new Date(b.expiry));
-    
-    const structure = sorted.map(market => {
-      const expiryDate = new Date(market.expiry);
-      const daysToExpiry = Math.ceil((expiryDate - new Date()) / (1000 * 60 * 60 * 24));
-      const impliedApy = (market.details?.impliedApy || 0) * 100;
-      const underlyingApy = (market.details?.aggregatedApy || 0) * 100;
-      const tvl = market.details?.liquidity || 0;
-      
-      return {
-        maturity: daysToExpiry <= 14 ? `${daysToExpiry}D` : `${Math.round(daysToExpiry / 30)}M`,
-        days: daysToExpiry,
-        impliedYield: impliedApy,
-        underlyingYield: underlyingApy,
-        expiry: expiryDate.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' }),
-        tvl, name: market.name, chain: market.chain,
-      };
-    });
-    
-    const valid = structure.filter(s => s.days > 0 && s.impliedYield > 0);
-    if (valid.length === 0) return 0;
-    
-    setTermStructure(valid);
-    
-    let spread = 0;
-    if (valid.length >= 2) {
-      spread = parseFloat((valid[valid.length - 1].impliedYield - valid[0].impliedYield).toFixed(2));
-      setTermSpread(spread);
+  }, [assetId, applyCurve]);
+
+  const fetchCurveHistory = useCallback(async () => {
+    try {
+      const response = await fetch(`${CURVE_HISTORY_API}?asset=${assetId}&days=${CURVE_HISTORY_DAYS}`);
+      if (!response.ok) throw new Error('Failed to fetch curve history');
+      const result = await response.json();
+      if (selectedAsset.current !== assetId) return;
+      setCurveHistory((result.data || []).map(curve => ({
+        date: curve.date,
+        points: curveMarkets(withAnalytics(curve.markets.map(fromSnapshotRow))).map(toChartPoint),
+      })));
+    } catch (err) {
+      if (selectedAsset.current === assetId) setCurveHistory([]);
     }
-    if (valid[0]?.underlyingYield) setUnderlyingYield(valid[0].underlyingYield.toFixed(2));
-    return spread;
-  };
+  }, [assetId]);
+
+  const fetchBacktest = useCallback(async () => {
+    try {
+      const response = await fetch(`${BACKTEST_API}?asset=${assetId}&price=${BACKTEST_PRICE}&horizons=${BACKTEST_HORIZONS.join(',')}`);
+      if (!response.ok) throw new Error('Failed to fetch backtest');
+      const result = await response.json();
+      if (selectedAsset.current === assetId) setBacktest(result);
+    } catch (err) {
+      if (selectedAsset.current === assetId) setBacktest(null);
+    }
+  }, [assetId]);
+
+  // /api/health answers 503 with the same body when history is stale.
+  const fetchHealth = useCallback(async () => {
+    try {
+      const response = await fetch(`${HEALTH_API}?asset=${assetId}`);
+      const result = await response.json();
+      if (selectedAsset.current === assetId) setHealth(result.assets ? result : null);
+    } catch (err) {
+      if (selectedAsset.current === assetId) setHealth(null);
+    }
+  }, [assetId]);
+
+  // The range and flagged filter only change the spread history; stored
+  // curves and the backtest reload per asset and per new snapshot.
+  useEffect(() => {
+    fetchHistoricalData();
+  }, [fetchHistoricalData, snapshotCount]);
+
+  useEffect(() => {
+    fetchCurveHistory();
+    fetchBacktest();
+  }, [fetchCurveHistory, fetchBacktest, snapshotCount]);
+
+  // Curve updates and new snapshots are pushed by /api/stream; polling only
+  // runs while the stream is down (or where EventSource is missing).
+  useEffect(() => {
+    fetchCurve();
+    const source = typeof EventSource !== 'undefined' ? new EventSource(`${STREAM_API}?asset=${assetId}`) : null;
+    if (source) {
+      source.onopen = () => setStreamState('live');
+      source.onerror = () => setStreamState('polling');
+      source.addEventListener('curve', (event) => applyCurve(JSON.parse(event.data)));
+      source.addEventListener('curve-error', (event) => setError(JSON.parse(event.data).error));
+      source.addEventListener('snapshot', () => setSnapshotCount(count => count + 1));
+    } else {
+      setStreamState('polling');
+    }
+    const interval = setInterval(() => {
+      if (!source || source.readyState !== EventSource.OPEN) fetchCurve();
+    }, POLL_INTERVAL_MS);
+    return () => {
+      clearInterval(interval);
+      if (source) source.close();
+    };
+  }, [assetId, fetchCurve, applyCurve]);
 
   useEffect(() => {
-    fetchPendleMarkets();
-    const interval = setInterval(fetchPendleMarkets, 5 * 60 * 1000);
+    fetchHealth();
+    const interval = setInterval(fetchHealth, POLL_INTERVAL_MS);
     return () => clearInterval(interval);
-  }, [fetchPendleMarkets]);
+  }, [fetchHealth, snapshotCount]);
+
+  const selectAsset = (id) => {
+    if (id === assetId) return;
+    setTermStructure([]);
+    setCurveStructure([]);
+    setTermSpread(0);
+    setUnderlyingYield(0);
+    setHistoricalSpread([]);
+    setHistorySource('loading');
+    setReplayIndex(null);
+    setOverlayMode(false);
+    setCurveHistory([]);
+    setBacktest(null);
+    setSpreadStats({ ...RESEARCH_STATS, source: 'research' });
+    setFailedChains([]);
+    setHealth(null);
+    setMarketChanges({});
+    setStreamState('connecting');
+    lastImplied.current = new Map();
+    lastFetchedAt.current = null;
+    selectedAsset.current = id;
+    setAssetId(id);
+  };
+
+  const asset = getAsset(assetId);
+  const staleHistory = health && health.status === 'stale' ? health.assets.find(a => a.asset === assetId) : null;
+  const chainNames = getAssetChains(asset).map(c => c.name).join(' + ');
+
+  const referenceChain = getReferenceChain(asset).name;
+  const chainCurves = useMemo(() => Object.entries(groupByChain(curveStructure)).map(([chain, markets]) => ({ chain, points: markets.map(toChartPoint) })), [curveStructure]);
+  const perChainSpreads = useMemo(() => chainSpreads(curveStructure), [curveStructure]);
+  const chainBasis = useMemo(() => crossChainBasis(curveStructure, referenceChain), [curveStructure, referenceChain]);
+
+  const constantMaturity = useMemo(() => constantMaturityYields(curveStructure, curveMethod), [curveStructure, curveMethod]);
+  const replayCurve = replayIndex !== null ? curveHistory[replayIndex] : null;
+  const curvePoints = termStructure.filter(p => p.liquidityFlag !== 'excluded');
+  const excludedCount = termStructure.length - curvePoints.length;
+  const frontAddress = curvePoints[0]?.address;
+  const backAddress = curvePoints.length > 1 ? curvePoints[curvePoints.length - 1].address : null;
+  const displayedCurve = replayCurve ? replayCurve.points : curvePoints;
+  const overlayCurves = useMemo(() => OVERLAY_LOOKBACKS.map(lookback => {
+    const target = new Date(Date.now() - lookback.days * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+    const curve = [...curveHistory].reverse().find(c => c.date <= target);
+    return curve ? { ...lookback, curve } : null;
+  }).filter(Boolean), [curveHistory]);
+  const formatPct = (v) => `${v > 0 ? '+' : ''}${v.toFixed(2)}%`;
+  const formatValue = (v, format) => v === null || v === undefined ? '—' : format(v);
 
-  const getRegimeColor = () => termSpread > 0 ? '#10b981' : termSpread < -5 ? '#ef4444' : '#f59e0b';
-  const getRegimeLabel = () => termSpread > 0 ? 'CONTANGO' : termSpread < -5 ? 'STEEP BACKWARDATION' : 'BACKWARDATION';
+  // Missing values sort last either way.
+  const sortedMarkets = useMemo(() => {
+    if (!sort.key) return termStructure;
+    const direction = sort.desc ? -1 : 1;
+    return [...termStructure].sort((a, b) => {
+      const x = a[sort.key];
+      const y = b[sort.key];
+      if (x === null || x === undefined) return 1;
+      if (y === null || y === undefined) return -1;
+      return (typeof x === 'string' ? x.localeCompare(y) : x - y) * direction;
+    });
+  }, [termStructure, sort]);
+  const toggleSort = (key) => setSort(current => current.key === key
+    ? (current.desc ? { key: null, desc: false } : { key, desc: true })
+    : { key, desc: false });
+
+  const thresholds = spreadStats.thresholds;
+  const activeRange = HISTORY_RANGES.find(r => r.days === historyRange);
+  // Regime shading behind the history chart; only runs wide enough to read
+  // get a duration label.
+  const historyRuns = regimeRuns(historicalSpread, thresholds);
+  const minLabelledRun = Math.max(5, Math.ceil(historicalSpread.length / 15));
+  const formatHistoryDate = (date) => new Date(`${date}T00:00:00Z`).toLocaleDateString('en-US', historyRange && historyRange <= 90
+    ? { month: 'short', day: 'numeric', timeZone: 'UTC' }
+    : { month: 'short', year: '2-digit', timeZone: 'UTC' });
+  const getRegimeLabel = () => classifyRegime(termSpread, thresholds);
+  const getRegimeColor = () => REGIME_COLORS[getRegimeLabel()];
+  // Derived cut-offs get the backtest's hit rate for the bucket (the backtest
+  // uses the same cut-offs) instead of the research probabilities.
   const getSignal = () => {
-    if (termSpread > 0) return { text: 'BULLISH', color: '#10b981', probability: '80%+ prob. positive returns (90d)' };
-    if (termSpread < -7.5) return { text: 'BEARISH', color: '#ef4444', probability: '<20% prob. positive returns (90d)' };
-    if (termSpread < -5) return { text: 'CAUTIOUS', color: '#f97316', probability: '~40% prob. positive returns (90d)' };
-    return { text: 'NEUTRAL', color: '#f59e0b', probability: '~50% prob. positive returns (90d)' };
+    const text = classifySignal(termSpread, thresholds);
+    if (spreadStats.source !== 'data') return { text, ...SIGNALS[text] };
+    const bucket = backtest?.horizons?.[SIGNAL_HORIZON]?.signals?.[text];
+    const probability = bucket && bucket.hitRate !== null
+      ? `${bucket.hitRate.toFixed(0)}% prob. positive returns (${SIGNAL_HORIZON}d, backtest n=${bucket.count})`
+      : `Cut-offs from ${spreadStats.count}d of history; no backtest for this bucket yet`;
+    return { text, color: SIGNALS[text].color, probability };
   };
-  const getChainColor = (chain) => chain === 'Ethereum' ? '#627eea' : '#00d4aa';
+  const getChainColor = (chain) => CHAINS.find(c => c.name === chain)?.color || '#94a3b8';
 
   const signal = getSignal();
 
@@ -155,36 +443,47 @@ export default function App() {
               {entry.name}: {typeof entry.value === 'number' ? entry.value.toFixed(2) : entry.value}%
             </p>
           ))}
+          {(payload[0].payload.qualityFlags || []).map(flag => (
+            <p key={flag} style={{ color: '#f59e0b', fontSize: '11px', margin: '4px 0 0' }}>⚠ {QUALITY_FLAG_LABELS[flag] || flag}</p>
+          ))}
         </div>
       );
     }
     return null;
   };
 
-  const returnSkewData = [
-    { decile: '0-10%', positiveProb: 12 }, { decile: '10-20%', positiveProb: 18 },
-    { decile: '20-30%', positiveProb: 32 }, { decile: '30-40%', positiveProb: 42 },
-    { decile: '40-50%', positiveProb: 51 }, { decile: '50-60%', positiveProb: 58 },
-    { decile: '60-70%', positiveProb: 72 }, { decile: '70-80%', positiveProb: 81 },
-    { decile: '80-90%', positiveProb: 85 }, { decile: '90-100%', positiveProb: 92 },
-  ];
+  const backtestResult = backtest?.horizons?.[backtestHorizon];
+  const hasBacktest = !!backtestResult && backtestResult.deciles.length > 0;
+  const returnSkewData = hasBacktest
+    ? backtestResult.deciles.map(d => ({ decile: d.decile, positiveProb: d.hitRate === null ? 0 : parseFloat(d.hitRate.toFixed(1)), avgReturn: d.avgReturn, count: d.count }))
+    : RESEARCH_STATS.positiveReturnByDecile;
+  const statsLabel = spreadStats.source === 'data' ? `${spreadStats.count}d of history` : RESEARCH_STATS.source;
 
   return (
     <div style={{ minHeight: '100vh', background: 'linear-gradient(135deg, #0f172a 0%, #1e1b4b 50%, #0f172a 100%)', color: '#e2e8f0', fontFamily: "'JetBrains Mono', monospace", padding: '24px' }}>
       <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '32px', paddingBottom: '24px', borderBottom: '1px solid rgba(148,163,184,0.1)', flexWrap: 'wrap', gap: '16px' }}>
         <div>
-          <h1 style={{ fontSize: '28px', fontWeight: 700, margin: 0, background: 'linear-gradient(90deg, #60a5fa, #a78bfa, #f472b6)', WebkitBackgroundClip: 'text', WebkitTextFillColor: 'transparent' }}>sUSDe Term Structure Monitor</h1>
-          <p style={{ color: '#64748b', fontSize: '13px', margin: '8px 0 0' }}>Pendle Finance • Multi-Chain (Ethereum + Plasma) • Live Data</p>
+          <h1 style={{ fontSize: '28px', fontWeight: 700, margin: 0, background: 'linear-gradient(90deg, #60a5fa, #a78bfa, #f472b6)', WebkitBackgroundClip: 'text', WebkitTextFillColor: 'transparent' }}>{asset.label} Term Structure Monitor</h1>
+          <p style={{ color: '#64748b', fontSize: '13px', margin: '8px 0 0' }}>Pendle Finance • Multi-Chain ({chainNames}) • Live Data</p>
         </div>
         <div style={{ display: 'flex', alignItems: 'center', gap: '16px' }}>
+          <div style={{ display: 'flex', gap: '4px' }}>
+            {ASSETS.map(a => (
+              <button key={a.id} onClick={() => selectAsset(a.id)} style={{ padding: '8px 12px', borderRadius: '8px', border: '1px solid rgba(148,163,184,0.2)', background: assetId === a.id ? 'rgba(167,139,250,0.15)' : 'transparent', color: assetId === a.id ? '#a78bfa' : '#64748b', cursor: 'pointer', fontSize: '12px', fontWeight: 600 }}>{a.label}</button>
+            ))}
+          </div>
           {lastUpdate && <span style={{ color: '#64748b', fontSize: '12px' }}>{lastUpdate.toLocaleTimeString('en-US')}</span>}
-          <button onClick={fetchPendleMarkets} disabled={loading} style={{ padding: '10px 20px', borderRadius: '8px', border: '1px solid rgba(96,165,250,0.5)', background: loading ? 'rgba(30,41,59,0.5)' : 'rgba(96,165,250,0.15)', color: '#60a5fa', cursor: loading ? 'not-allowed' : 'pointer', fontSize: '13px', fontWeight: 600 }}>
+          <span title={streamState === 'live' ? 'Updates are pushed as the curve changes' : 'Stream unavailable, refreshing every 5 minutes'} style={{ color: streamState === 'live' ? '#10b981' : '#64748b', fontSize: '10px' }}>{streamState === 'live' ? '● STREAMING' : streamState === 'polling' ? '○ POLLING' : '○ CONNECTING'}</span>
+          <button onClick={fetchCurve} disabled={loading} style={{ padding: '10px 20px', borderRadius: '8px', border: '1px solid rgba(96,165,250,0.5)', background: loading ? 'rgba(30,41,59,0.5)' : 'rgba(96,165,250,0.15)', color: '#60a5fa', cursor: loading ? 'not-allowed' : 'pointer', fontSize: '13px', fontWeight: 600 }}>
             {loading ? '⟳ Loading...' : '🔄 Refresh'}
           </button>
         </div>
       </div>
 
       {error && <div style={{ background: 'rgba(239,68,68,0.1)', border: '1px solid rgba(239,68,68,0.3)', borderRadius: '12px', padding: '16px', marginBottom: '24px' }}><p style={{ color: '#ef4444', margin: 0 }}>⚠️ {error}</p></div>}
+      {!error && failedChains.length > 0 && <div style={{ background: 'rgba(245,158,11,0.1)', border: '1px solid rgba(245,158,11,0.3)', borderRadius: '12px', padding: '16px', marginBottom: '24px' }}><p style={{ color: '#f59e0b', margin: 0 }}>⚠️ Partial data: Pendle API unavailable for {failedChains.join(', ')}. The curve below leaves those markets out.</p></div>}
+
+      {staleHistory && staleHistory.date && <div style={{ background: 'rgba(245,158,11,0.1)', border: '1px solid rgba(245,158,11,0.3)', borderRadius: '12px', padding: '16px', marginBottom: '24px' }}><p style={{ color: '#f59e0b', margin: 0 }}>⚠️ Stale history: the last {asset.label} snapshot was {Math.round(staleHistory.age_hours)}h ago ({staleHistory.date}).{health.last_run && health.last_run.status !== 'success' && ` Last snapshot run ${health.last_run.status}${health.last_run.error ? `: ${health.last_run.error}` : ''}.`}</p></div>}
 
       {loading && termStructure.length === 0 && (
         <div style={{ display: 'flex', justifyContent: 'center', alignItems: 'center', height: '400px' }}>
@@ -200,6 +499,9 @@ export default function App() {
               <p style={{ color: '#64748b', fontSize: '12px', margin: 0, textTransform: 'uppercase', letterSpacing: '1px' }}>Term Spread</p>
               <p style={{ fontSize: '36px', fontWeight: 700, margin: '8px 0', color: getRegimeColor() }}>{termSpread > 0 ? '+' : ''}{termSpread}%</p>
               <p style={{ color: '#94a3b8', fontSize: '12px', margin: 0 }}>Back - Front Month</p>
+              {constantMaturity?.cmSpread !== null && constantMaturity?.cmSpread !== undefined && (
+                <p style={{ color: '#94a3b8', fontSize: '12px', margin: '4px 0 0' }}>180d - 30d (CM): {formatPct(constantMaturity.cmSpread)}</p>
+              )}
             </div>
             <div style={{ background: 'rgba(30,41,59,0.6)', borderRadius: '16px', padding: '24px', border: '1px solid rgba(148,163,184,0.1)' }}>
               <p style={{ color: '#64748b', fontSize: '12px', margin: 0, textTransform: 'uppercase', letterSpacing: '1px' }}>Regime</p>
@@ -207,89 +509,233 @@ export default function App() {
               <p style={{ color: '#94a3b8', fontSize: '12px', margin: 0 }}>{termSpread > 0 ? 'Upward sloping curve' : 'Downward sloping curve'}</p>
             </div>
             <div style={{ background: 'rgba(30,41,59,0.6)', borderRadius: '16px', padding: '24px', border: `1px solid ${signal.color}33` }}>
-              <p style={{ color: '#64748b', fontSize: '12px', margin: 0, textTransform: 'uppercase', letterSpacing: '1px' }}>Signal (90d)</p>
+              <p style={{ color: '#64748b', fontSize: '12px', margin: 0, textTransform: 'uppercase', letterSpacing: '1px' }}>Signal ({SIGNAL_HORIZON}d)</p>
               <p style={{ fontSize: '28px', fontWeight: 700, margin: '8px 0', color: signal.color }}>{signal.text}</p>
               <p style={{ color: '#94a3b8', fontSize: '11px', margin: 0 }}>{signal.probability}</p>
+              {spreadStats.percentile !== null && spreadStats.percentile !== undefined && (
+                <p style={{ color: '#94a3b8', fontSize: '11px', margin: '4px 0 0' }}>Spread at P{Math.round(spreadStats.percentile)} of {spreadStats.count}d history</p>
+              )}
             </div>
             <div style={{ background: 'rgba(30,41,59,0.6)', borderRadius: '16px', padding: '24px', border: '1px solid rgba(148,163,184,0.1)' }}>
               <p style={{ color: '#64748b', fontSize: '12px', margin: 0, textTransform: 'uppercase', letterSpacing: '1px' }}>Underlying APY</p>
               <p style={{ fontSize: '36px', fontWeight: 700, margin: '8px 0', color: '#a78bfa' }}>{underlyingYield}%</p>
-              <p style={{ color: '#94a3b8', fontSize: '12px', margin: 0 }}>sUSDe Yield</p>
+              <p style={{ color: '#94a3b8', fontSize: '12px', margin: 0 }}>{asset.label} Yield • TVL-weighted, {curvePoints.length} markets</p>
             </div>
           </div>
 
           <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(350px, 1fr))', gap: '24px', marginBottom: '32px' }}>
             <div style={{ background: 'rgba(30,41,59,0.6)', borderRadius: '16px', padding: '24px', border: '1px solid rgba(148,163,184,0.1)' }}>
-              <h3 style={{ margin: '0 0 20px', fontSize: '16px', fontWeight: 600 }}>Term Structure (Live)</h3>
-              <ResponsiveContainer width="100%" height={280}>
-                <AreaChart data={termStructure}>
-                  <defs><linearGradient id="yieldGradient" x1="0" y1="0" x2="0" y2="1"><stop offset="5%" stopColor="#60a5fa" stopOpacity={0.3}/><stop offset="95%" stopColor="#60a5fa" stopOpacity={0}/></linearGradient></defs>
-                  <CartesianGrid strokeDasharray="3 3" stroke="rgba(148,163,184,0.1)" />
-                  <XAxis dataKey="maturity" stroke="#64748b" fontSize={12} tickLine={false} />
-                  <YAxis stroke="#64748b" fontSize={12} tickLine={false} tickFormatter={(v) => `${v.toFixed(1)}%`} domain={['dataMin - 0.5', 'dataMax + 0.5']} />
-                  <Tooltip content={<CustomTooltip />} />
-                  <Area type="monotone" dataKey="impliedYield" stroke="#60a5fa" strokeWidth={3} fill="url(#yieldGradient)" name="Implied Yield" dot={{ fill: '#60a5fa', strokeWidth: 2, r: 6 }} />
-                  <ReferenceLine y={parseFloat(underlyingYield)} stroke="#a78bfa" strokeDasharray="5 5" />
-                </AreaChart>
-              </ResponsiveContainer>
+              <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '20px' }}>
+                <h3 style={{ margin: 0, fontSize: '16px', fontWeight: 600 }}>Term Structure ({overlayMode ? 'Compare' : replayCurve ? replayCurve.date : 'Live'})</h3>
+                <div style={{ display: 'flex', gap: '4px' }}>
+                  {[['linear', 'Linear'], ['nelson-siegel', 'Nelson-Siegel (TVL)']].map(([method, label]) => (
+                    <button key={method} onClick={() => setCurveMethod(method)} style={{ padding: '4px 8px', borderRadius: '4px', border: '1px solid rgba(148,163,184,0.2)', background: curveMethod === method ? 'rgba(96,165,250,0.15)' : 'transparent', color: curveMethod === method ? '#60a5fa' : '#64748b', cursor: 'pointer', fontSize: '10px' }}>{label}</button>
+                  ))}
+                </div>
+              </div>
+              {overlayMode ? (
+                <ResponsiveContainer width="100%" height={280}>
+                  <LineChart>
+                    <CartesianGrid strokeDasharray="3 3" stroke="rgba(148,163,184,0.1)" />
+                    <XAxis dataKey="days" type="number" stroke="#64748b" fontSize={12} tickLine={false} domain={[0, 'dataMax']} tickFormatter={(v) => `${v}D`} allowDuplicatedCategory={false} />
+                    <YAxis stroke="#64748b" fontSize={12} tickLine={false} tickFormatter={(v) => `${v.toFixed(1)}%`} domain={['dataMin - 0.5', 'dataMax + 0.5']} />
+                    <Tooltip content={<CustomTooltip />} />
+                    <Line data={curvePoints} type="monotone" dataKey="impliedYield" stroke="#60a5fa" strokeWidth={3} name="Today" dot={{ fill: '#60a5fa', r: 4 }} />
+                    {overlayCurves.map(overlay => (
+                      <Line key={overlay.label} data={overlay.curve.points} type="monotone" dataKey="impliedYield" stroke={overlay.color} strokeWidth={2} strokeDasharray="5 5" name={overlay.label} dot={{ fill: overlay.color, r: 3 }} />
+                    ))}
+                  </LineChart>
+                </ResponsiveContainer>
+              ) : (
+                <ResponsiveContainer width="100%" height={280}>
+                  <ComposedChart data={displayedCurve}>
+                    <defs><linearGradient id="yieldGradient" x1="0" y1="0" x2="0" y2="1"><stop offset="5%" stopColor="#60a5fa" stopOpacity={0.3}/><stop offset="95%" stopColor="#60a5fa" stopOpacity={0}/></linearGradient></defs>
+                    <CartesianGrid strokeDasharray="3 3" stroke="rgba(148,163,184,0.1)" />
+                    <XAxis dataKey="maturity" stroke="#64748b" fontSize={12} tickLine={false} />
+                    <YAxis yAxisId="left" stroke="#64748b" fontSize={12} tickLine={false} tickFormatter={(v) => `${v.toFixed(1)}%`} domain={['dataMin - 0.5', 'dataMax + 0.5']} />
+                    {curveSeries && <YAxis yAxisId="right" orientation="right" stroke={CURVE_SERIES[curveSeries].color} fontSize={10} tickLine={false} tickFormatter={(v) => `${v.toFixed(1)}%`} domain={['auto', 'auto']} />}
+                    <Tooltip content={<CustomTooltip />} />
+                    <Area yAxisId="left" type="monotone" dataKey="impliedYield" stroke="#60a5fa" strokeWidth={3} fill="url(#yieldGradient)" name="Implied Yield" dot={renderCurveDot} />
+                    <ReferenceLine yAxisId="left" y={parseFloat(underlyingYield)} stroke="#a78bfa" strokeDasharray="5 5" />
+                    {curveSeries && <Line yAxisId="right" type="monotone" dataKey={curveSeries} stroke={CURVE_SERIES[curveSeries].color} strokeWidth={2} name={CURVE_SERIES[curveSeries].label} dot={{ fill: CURVE_SERIES[curveSeries].color, r: 3 }} connectNulls />}
+                  </ComposedChart>
+                </ResponsiveContainer>
+              )}
               <div style={{ display: 'flex', justifyContent: 'center', gap: '24px', marginTop: '12px' }}>
-                <span style={{ color: '#60a5fa', fontSize: '11px' }}>● Implied Yield</span>
-                <span style={{ color: '#a78bfa', fontSize: '11px' }}>- - Underlying APY</span>
+                {overlayMode ? (
+                  <>
+                    <span style={{ color: '#60a5fa', fontSize: '11px' }}>● Today</span>
+                    {overlayCurves.map(overlay => <span key={overlay.label} style={{ color: overlay.color, fontSize: '11px' }}>- - {overlay.label}</span>)}
+                  </>
+                ) : (
+                  <>
+                    <span style={{ color: '#60a5fa', fontSize: '11px' }}>● Implied Yield</span>
+                    <span style={{ color: '#a78bfa', fontSize: '11px' }}>- - Underlying APY</span>
+                    {curvePoints.some(p => p.liquidityFlag === 'low') && <span style={{ color: '#f59e0b', fontSize: '11px' }}>○ Low liquidity</span>}
+                    {Object.entries(CURVE_SERIES).map(([key, series]) => (
+                      <button key={key} onClick={() => setCurveSeries(curveSeries === key ? null : key)} style={{ padding: '2px 6px', borderRadius: '4px', border: '1px solid rgba(148,163,184,0.2)', background: curveSeries === key ? `${series.color}26` : 'transparent', color: curveSeries === key ? series.color : '#64748b', cursor: 'pointer', fontSize: '10px' }}>{series.label}</button>
+                    ))}
+                  </>
+                )}
               </div>
+              {curveHistory.length > 0 && (
+                <div style={{ display: 'flex', alignItems: 'center', gap: '12px', marginTop: '16px' }}>
+                  <input type="range" min={0} max={curveHistory.length} value={replayIndex ?? curveHistory.length} disabled={overlayMode}
+                    onChange={(e) => { const i = parseInt(e.target.value); setReplayIndex(i === curveHistory.length ? null : i); }}
+                    style={{ flex: 1, accentColor: '#60a5fa' }} />
+                  <span style={{ color: '#94a3b8', fontSize: '11px', minWidth: '48px' }}>{replayCurve ? replayCurve.date : 'Live'}</span>
+                  <button onClick={() => setOverlayMode(!overlayMode)} style={{ padding: '4px 8px', borderRadius: '4px', border: '1px solid rgba(148,163,184,0.2)', background: overlayMode ? 'rgba(96,165,250,0.15)' : 'transparent', color: overlayMode ? '#60a5fa' : '#64748b', cursor: 'pointer', fontSize: '10px' }}>Compare</button>
+                </div>
+              )}
+              {constantMaturity && (
+                <div style={{ display: 'grid', gridTemplateColumns: `repeat(${CONSTANT_MATURITIES.length}, 1fr)`, gap: '8px', marginTop: '16px' }}>
+                  {CONSTANT_MATURITIES.map(days => (
+                    <div key={days} style={{ textAlign: 'center', background: 'rgba(15,23,42,0.4)', borderRadius: '8px', padding: '8px' }}>
+                      <p style={{ color: '#64748b', fontSize: '10px', margin: 0 }}>CM {days}D</p>
+                      <p style={{ color: '#e2e8f0', fontSize: '13px', fontWeight: 600, margin: '4px 0 0' }}>{constantMaturity.yields[days].toFixed(2)}%</p>
+                    </div>
+                  ))}
+                </div>
+              )}
+              {constantMaturity && constantMaturity.method !== curveMethod && (
+                <p style={{ color: '#f59e0b', fontSize: '10px', margin: '8px 0 0', textAlign: 'center' }}>*Nelson-Siegel needs 3+ maturities, using linear</p>
+              )}
             </div>
 
             <div style={{ background: 'rgba(30,41,59,0.6)', borderRadius: '16px', padding: '24px', border: '1px solid rgba(148,163,184,0.1)' }}>
               <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '8px' }}>
-                <h3 style={{ margin: 0, fontSize: '16px', fontWeight: 600 }}>Term Spread (90d)</h3>
-                {historySource === 'real' ? (
-                  <span style={{ color: '#10b981', fontSize: '10px', background: 'rgba(16,185,129,0.15)', padding: '4px 8px', borderRadius: '4px' }}>● LIVE DATA</span>
-                ) : (
-                  <span style={{ color: '#f59e0b', fontSize: '10px', background: 'rgba(245,158,11,0.15)', padding: '4px 8px', borderRadius: '4px' }}>*Simulated</span>
-                )}
+                <h3 style={{ margin: 0, fontSize: '16px', fontWeight: 600 }}>Term Spread ({activeRange.label})</h3>
+                <div style={{ display: 'flex', gap: '8px', alignItems: 'center' }}>
+                  {HISTORY_RANGES.map(r => (
+                    <button key={r.label} onClick={() => setHistoryRange(r.days)} style={{ padding: '4px 8px', borderRadius: '4px', border: '1px solid rgba(148,163,184,0.2)', background: historyRange === r.days ? 'rgba(96,165,250,0.15)' : 'transparent', color: historyRange === r.days ? '#60a5fa' : '#64748b', cursor: 'pointer', fontSize: '10px' }}>{r.label}</button>
+                  ))}
+                  <button onClick={() => setHideFlagged(!hideFlagged)} title="Points that failed a data-quality check" style={{ padding: '4px 8px', borderRadius: '4px', border: '1px solid rgba(148,163,184,0.2)', background: hideFlagged ? 'rgba(96,165,250,0.15)' : 'transparent', color: hideFlagged ? '#60a5fa' : '#64748b', cursor: 'pointer', fontSize: '10px' }}>Hide flagged</button>
+                  {historySource === 'real' ? (
+                    <span style={{ color: '#10b981', fontSize: '10px', background: 'rgba(16,185,129,0.15)', padding: '4px 8px', borderRadius: '4px' }}>● LIVE DATA</span>
+                  ) : historySource !== 'loading' && (
+                    <span style={{ color: '#f59e0b', fontSize: '10px', background: 'rgba(245,158,11,0.15)', padding: '4px 8px', borderRadius: '4px' }}>{historySource === 'error' ? 'History unavailable' : 'No history yet'}</span>
+                  )}
+                  {historySource === 'real' && (
+                    <a href={`${HISTORY_API}?asset=${assetId}&days=${historyRange || 'all'}&flagged=${hideFlagged ? 'exclude' : 'include'}&format=csv`} download style={{ padding: '4px 8px', borderRadius: '4px', border: '1px solid rgba(148,163,184,0.2)', color: '#64748b', fontSize: '10px', textDecoration: 'none' }}>⬇ Download CSV</a>
+                  )}
+                </div>
               </div>
+              {historicalSpread.length === 0 ? (
+                <div style={{ height: 260, display: 'flex', alignItems: 'center', justifyContent: 'center', textAlign: 'center' }}>
+                  <p style={{ color: '#64748b', fontSize: '12px', margin: 0 }}>{historySource === 'loading' ? 'Loading history...' : <>No recorded history for this asset.<br />Run <code>/api/backfill?asset={assetId}</code> to rebuild it from Pendle.</>}</p>
+                </div>
+              ) : (
+                <>
+                  <ResponsiveContainer width="100%" height={260}>
+                    <ComposedChart data={historicalSpread} syncId="history">
+                      <defs><linearGradient id="spreadGradient" x1="0" y1="1" x2="0" y2="0"><stop offset="5%" stopColor="#ef4444" stopOpacity={0.4}/><stop offset="95%" stopColor="#ef4444" stopOpacity={0}/></linearGradient></defs>
+                      <CartesianGrid strokeDasharray="3 3" stroke="rgba(148,163,184,0.1)" />
+                      <XAxis dataKey="date" stroke="#64748b" fontSize={10} tickLine={false} minTickGap={24} tickFormatter={formatHistoryDate} />
+                      <YAxis stroke="#64748b" fontSize={12} tickLine={false} tickFormatter={(v) => `${v}%`} domain={['dataMin - 0.5', 'dataMax + 0.5']} />
+                      <Tooltip content={<CustomTooltip />} />
+                      {historyRuns.map(run => (
+                        <ReferenceArea key={run.start} x1={run.start} x2={run.end} fill={REGIME_COLORS[run.regime]} fillOpacity={0.07} stroke="none" ifOverflow="hidden"
+                          label={run.days >= minLabelledRun ? { value: `${run.days}d`, position: 'insideTop', fill: REGIME_COLORS[run.regime], fontSize: 9 } : undefined} />
+                      ))}
+                      <Area type="monotone" dataKey="band2" stroke="none" fill="#94a3b8" fillOpacity={0.08} tooltipType="none" isAnimationActive={false} />
+                      <Area type="monotone" dataKey="band1" stroke="none" fill="#94a3b8" fillOpacity={0.12} tooltipType="none" isAnimationActive={false} />
+                      <ReferenceLine y={thresholds.bullish} stroke="#10b981" strokeDasharray="4 4" label={{ value: 'Bullish', position: 'insideBottomRight', fill: '#10b981', fontSize: 9 }} />
+                      <ReferenceLine y={thresholds.cautious} stroke="#f97316" strokeDasharray="4 4" label={{ value: 'Cautious', position: 'insideBottomRight', fill: '#f97316', fontSize: 9 }} />
+                      <ReferenceLine y={thresholds.bearish} stroke="#ef4444" strokeDasharray="4 4" label={{ value: 'Bearish', position: 'insideBottomRight', fill: '#ef4444', fontSize: 9 }} />
+                      <Area type="monotone" dataKey="spread" stroke="#60a5fa" strokeWidth={2} fill="url(#spreadGradient)" name="Term Spread" dot={renderFlaggedDot} />
+                      <Line type="monotone" dataKey="mean" stroke="#94a3b8" strokeWidth={1} dot={false} connectNulls name={`${ROLLING_WINDOW}d Mean`} />
+                      <Line type="monotone" dataKey="cmSpread" stroke="#f472b6" strokeWidth={2} strokeDasharray="5 5" dot={false} connectNulls name="180d - 30d (CM)" />
+                    </ComposedChart>
+                  </ResponsiveContainer>
+                  <ResponsiveContainer width="100%" height={90}>
+                    <LineChart data={historicalSpread} syncId="history">
+                      <CartesianGrid strokeDasharray="3 3" stroke="rgba(148,163,184,0.1)" />
+                      <XAxis dataKey="date" hide />
+                      <YAxis stroke="#64748b" fontSize={10} tickLine={false} domain={[-3, 3]} ticks={[-2, 0, 2]} allowDataOverflow tickFormatter={(v) => `${v}σ`} />
+                      <Tooltip contentStyle={{ background: 'rgba(15,23,42,0.95)', border: '1px solid rgba(148,163,184,0.2)', borderRadius: '8px', fontSize: '12px' }} formatter={(v) => [typeof v === 'number' ? `${v.toFixed(2)}σ` : '—', 'Z-Score']} />
+                      <ReferenceLine y={0} stroke="#94a3b8" />
+                      <ReferenceLine y={2} stroke="#64748b" strokeDasharray="4 4" />
+                      <ReferenceLine y={-2} stroke="#64748b" strokeDasharray="4 4" />
+                      <Line type="monotone" dataKey="z" stroke="#a78bfa" strokeWidth={1.5} dot={false} name="Z-Score" />
+                    </LineChart>
+                  </ResponsiveContainer>
+                </>
+              )}
+              <div style={{ display: 'flex', justifyContent: 'center', flexWrap: 'wrap', gap: '24px', marginTop: '12px' }}>
+                <span style={{ color: '#10b981', fontSize: '11px' }}>● {'>'}{thresholds.bullish.toFixed(2)}%: Bullish</span>
+                <span style={{ color: '#ef4444', fontSize: '11px' }}>● {'<'}{thresholds.bearish.toFixed(2)}%: Bearish</span>
+                <span style={{ color: '#94a3b8', fontSize: '11px' }}>▒ {ROLLING_WINDOW}d mean ±1σ / ±2σ</span>
+                <span style={{ color: '#a78bfa', fontSize: '11px' }}>— Z-Score</span>
+                {historicalSpread.some(d => d.qualityFlags) && <span style={{ color: '#f59e0b', fontSize: '11px' }}>○ Failed a data-quality check</span>}
+                {historicalSpread.some(d => d.cmSpread !== null && d.cmSpread !== undefined) && <span style={{ color: '#f472b6', fontSize: '11px' }}>- - 180d - 30d (CM)</span>}
+              </div>
+            </div>
+          </div>
+
+          {chainCurves.length > 1 && (
+            <div style={{ background: 'rgba(30,41,59,0.6)', borderRadius: '16px', padding: '24px', border: '1px solid rgba(148,163,184,0.1)', marginBottom: '32px' }}>
+              <h3 style={{ margin: '0 0 20px', fontSize: '16px', fontWeight: 600 }}>Term Structure by Chain</h3>
               <ResponsiveContainer width="100%" height={260}>
-                <AreaChart data={historicalSpread}>
-                  <defs><linearGradient id="spreadGradient" x1="0" y1="1" x2="0" y2="0"><stop offset="5%" stopColor="#ef4444" stopOpacity={0.4}/><stop offset="95%" stopColor="#ef4444" stopOpacity={0}/></linearGradient></defs>
+                <LineChart>
                   <CartesianGrid strokeDasharray="3 3" stroke="rgba(148,163,184,0.1)" />
-                  <XAxis dataKey="date" stroke="#64748b" fontSize={10} tickLine={false} interval={14} />
-                  <YAxis stroke="#64748b" fontSize={12} tickLine={false} tickFormatter={(v) => `${v}%`} domain={['dataMin - 0.5', 'dataMax + 0.5']} />
+                  <XAxis dataKey="days" type="number" stroke="#64748b" fontSize={12} tickLine={false} domain={[0, 'dataMax']} tickFormatter={(v) => `${v}D`} allowDuplicatedCategory={false} />
+                  <YAxis stroke="#64748b" fontSize={12} tickLine={false} tickFormatter={(v) => `${v.toFixed(1)}%`} domain={['dataMin - 0.5', 'dataMax + 0.5']} />
                   <Tooltip content={<CustomTooltip />} />
-                  <ReferenceLine y={0} stroke="#94a3b8" strokeWidth={2} />
-                  <Area type="monotone" dataKey="spread" stroke="#60a5fa" strokeWidth={2} fill="url(#spreadGradient)" name="Term Spread" />
-                </AreaChart>
+                  {chainCurves.map(({ chain, points }) => (
+                    <Line key={chain} data={points} type="monotone" dataKey="impliedYield" stroke={getChainColor(chain)} strokeWidth={2} name={chain} dot={{ fill: getChainColor(chain), r: 4 }} />
+                  ))}
+                </LineChart>
               </ResponsiveContainer>
-              <div style={{ display: 'flex', justifyContent: 'center', gap: '24px', marginTop: '12px' }}>
-                <span style={{ color: '#10b981', fontSize: '11px' }}>● {'>'}0%: Bullish</span>
-                <span style={{ color: '#ef4444', fontSize: '11px' }}>● {'<'}-7.5%: Bearish</span>
+              <div style={{ display: 'flex', justifyContent: 'center', gap: '24px', marginTop: '12px', flexWrap: 'wrap' }}>
+                {chainCurves.map(({ chain }) => (
+                  <span key={chain} style={{ color: getChainColor(chain), fontSize: '11px' }}>
+                    ● {chain}: {perChainSpreads[chain] ? `${formatPct(perChainSpreads[chain].termSpread)} spread` : 'single market'}
+                    {chainBasis[chain] && ` • ${formatPct(chainBasis[chain].basis)} vs ${referenceChain}`}
+                  </span>
+                ))}
               </div>
             </div>
-          </div>
+          )}
 
           <div style={{ background: 'rgba(30,41,59,0.6)', borderRadius: '16px', padding: '24px', border: '1px solid rgba(148,163,184,0.1)', marginBottom: '32px', overflowX: 'auto' }}>
-            <h3 style={{ margin: '0 0 20px', fontSize: '16px', fontWeight: 600 }}>Active sUSDe Markets ({termStructure.length})</h3>
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '20px' }}>
+              <h3 style={{ margin: 0, fontSize: '16px', fontWeight: 600 }}>Active {asset.label} Markets ({curvePoints.length}{excludedCount > 0 ? ` + ${excludedCount} excluded` : ''})</h3>
+              <a href={`${CURVE_API}?asset=${assetId}&format=csv`} download style={{ padding: '4px 8px', borderRadius: '4px', border: '1px solid rgba(148,163,184,0.2)', color: '#64748b', fontSize: '10px', textDecoration: 'none' }}>⬇ Download CSV</a>
+            </div>
             <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '13px' }}>
               <thead>
                 <tr style={{ borderBottom: '1px solid rgba(148,163,184,0.2)' }}>
-                  <th style={{ textAlign: 'left', padding: '12px 16px', color: '#64748b', fontWeight: 500 }}>Market</th>
-                  <th style={{ textAlign: 'left', padding: '12px 16px', color: '#64748b', fontWeight: 500 }}>Chain</th>
-                  <th style={{ textAlign: 'right', padding: '12px 16px', color: '#64748b', fontWeight: 500 }}>Expiry</th>
-                  <th style={{ textAlign: 'right', padding: '12px 16px', color: '#64748b', fontWeight: 500 }}>Days</th>
-                  <th style={{ textAlign: 'right', padding: '12px 16px', color: '#64748b', fontWeight: 500 }}>Implied APY</th>
-                  <th style={{ textAlign: 'right', padding: '12px 16px', color: '#64748b', fontWeight: 500 }}>TVL</th>
+                  {MARKET_COLUMNS.map(column => (
+                    <th key={column.label} onClick={() => column.key && toggleSort(column.key)} title={column.title} style={{ textAlign: column.align || 'right', padding: '12px 16px', color: column.key && sort.key === column.key ? '#60a5fa' : '#64748b', fontWeight: 500, cursor: column.key ? 'pointer' : 'default', whiteSpace: 'nowrap', userSelect: 'none' }}>
+                      {column.label}{column.key && sort.key === column.key ? (sort.desc ? ' ▼' : ' ▲') : ''}
+                    </th>
+                  ))}
                 </tr>
               </thead>
               <tbody>
-                {termStructure.map((market, index) => (
-                  <tr key={index} style={{ borderBottom: '1px solid rgba(148,163,184,0.1)', background: index === 0 ? 'rgba(96,165,250,0.05)' : 'transparent' }}>
+                {sortedMarkets.map(market => (
+                  <tr key={marketKey(market)} style={{ borderBottom: '1px solid rgba(148,163,184,0.1)', background: market.address === frontAddress ? 'rgba(96,165,250,0.05)' : 'transparent', opacity: market.liquidityFlag === 'excluded' ? 0.45 : 1 }}>
                     <td style={{ padding: '12px 16px', color: '#e2e8f0' }}>
                       {market.name}
-                      {index === 0 && <span style={{ color: '#60a5fa', marginLeft: '8px', fontSize: '10px' }}>FRONT</span>}
-                      {index === termStructure.length - 1 && termStructure.length > 1 && <span style={{ color: '#a78bfa', marginLeft: '8px', fontSize: '10px' }}>BACK</span>}
+                      {market.address === frontAddress && <span style={{ color: '#60a5fa', marginLeft: '8px', fontSize: '10px' }}>FRONT</span>}
+                      {market.address === backAddress && <span style={{ color: '#a78bfa', marginLeft: '8px', fontSize: '10px' }}>BACK</span>}
+                      {market.liquidityFlag === 'excluded' && <span style={{ color: '#94a3b8', marginLeft: '8px', fontSize: '10px' }} title="Below the minimum liquidity, not used in the curve">EXCLUDED</span>}
+                      {market.liquidityFlag === 'low' && <span style={{ color: '#f59e0b', marginLeft: '8px', fontSize: '10px' }} title="Thin market, low-confidence point">LOW LIQ</span>}
                     </td>
                     <td style={{ padding: '12px 16px' }}><span style={{ color: getChainColor(market.chain), background: `${getChainColor(market.chain)}20`, padding: '4px 8px', borderRadius: '4px', fontSize: '11px', fontWeight: 600 }}>{market.chain}</span></td>
                     <td style={{ padding: '12px 16px', color: '#94a3b8', textAlign: 'right' }}>{market.expiry}</td>
                     <td style={{ padding: '12px 16px', color: '#94a3b8', textAlign: 'right' }}>{market.days}d</td>
-                    <td style={{ padding: '12px 16px', textAlign: 'right', color: '#60a5fa', fontWeight: 600 }}>{market.impliedYield.toFixed(2)}%</td>
+                    <td style={{ padding: '12px 16px', textAlign: 'right', color: '#60a5fa', fontWeight: 600 }}>
+                      {market.impliedYield.toFixed(2)}%
+                      {renderChange(marketChanges[marketKey(market)])}
+                    </td>
+                    <td style={{ padding: '12px 16px', color: '#a78bfa', textAlign: 'right' }}>{market.underlyingYield.toFixed(2)}%</td>
+                    <td style={{ padding: '12px 16px', textAlign: 'right', color: market.premium >= 0 ? '#10b981' : '#ef4444' }}>{formatValue(market.premium, formatPct)}</td>
+                    <td style={{ padding: '12px 16px', color: '#94a3b8', textAlign: 'right' }}>{formatValue(market.ptPrice, v => v.toFixed(4))}</td>
+                    <td style={{ padding: '12px 16px', color: '#94a3b8', textAlign: 'right' }}>{formatValue(market.ptDiscount, v => `${v.toFixed(2)}%`)}</td>
+                    <td style={{ padding: '12px 16px', color: '#e2e8f0', textAlign: 'right' }}>{formatValue(market.fixedReturn, v => `${v.toFixed(2)}%`)}</td>
+                    <td style={{ padding: '12px 16px', color: '#94a3b8', textAlign: 'right' }}>{formatValue(market.ytBreakeven, v => `${v.toFixed(2)}%`)}</td>
+                    <td style={{ padding: '12px 16px', color: '#34d399', textAlign: 'right' }}>{formatValue(market.rollYield, v => `${v.toFixed(2)}%`)}</td>
                     <td style={{ padding: '12px 16px', color: '#94a3b8', textAlign: 'right' }}>${(market.tvl / 1e6).toFixed(2)}M</td>
                   </tr>
                 ))}
@@ -298,7 +744,19 @@ export default function App() {
           </div>
 
           <div style={{ background: 'rgba(30,41,59,0.6)', borderRadius: '16px', padding: '24px', border: '1px solid rgba(148,163,184,0.1)', marginBottom: '32px' }}>
-            <h3 style={{ margin: '0 0 20px', fontSize: '16px', fontWeight: 600 }}>Analysis: P(Positive Return) by Term Spread Decile</h3>
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '20px' }}>
+              <h3 style={{ margin: 0, fontSize: '16px', fontWeight: 600 }}>Analysis: P(Positive Return) by Term Spread Decile</h3>
+              <div style={{ display: 'flex', alignItems: 'center', gap: '4px' }}>
+                {BACKTEST_HORIZONS.map(horizon => (
+                  <button key={horizon} onClick={() => setBacktestHorizon(horizon)} style={{ padding: '4px 8px', borderRadius: '4px', border: '1px solid rgba(148,163,184,0.2)', background: backtestHorizon === horizon ? 'rgba(96,165,250,0.15)' : 'transparent', color: backtestHorizon === horizon ? '#60a5fa' : '#64748b', cursor: 'pointer', fontSize: '10px' }}>{horizon}d</button>
+                ))}
+                {hasBacktest ? (
+                  <span style={{ color: '#10b981', fontSize: '10px', background: 'rgba(16,185,129,0.15)', padding: '4px 8px', borderRadius: '4px', marginLeft: '8px' }}>Backtest: {BACKTEST_PRICE.toUpperCase()} {backtestHorizon}d • n={backtestResult.count}</span>
+                ) : (
+                  <span style={{ color: '#f59e0b', fontSize: '10px', background: 'rgba(245,158,11,0.15)', padding: '4px 8px', borderRadius: '4px', marginLeft: '8px' }}>Reference: {RESEARCH_STATS.source} (90d)</span>
+                )}
+              </div>
+            </div>
             <ResponsiveContainer width="100%" height={300}>
               <BarChart data={returnSkewData}>
                 <CartesianGrid strokeDasharray="3 3" stroke="rgba(148,163,184,0.1)" />
@@ -308,6 +766,9 @@ export default function App() {
                   <div style={{ background: 'rgba(15,23,42,0.95)', border: '1px solid rgba(148,163,184,0.2)', borderRadius: '8px', padding: '12px' }}>
                     <p style={{ color: '#e2e8f0', fontSize: '12px', margin: 0 }}>Decile: {payload[0].payload.decile}</p>
                     <p style={{ color: '#10b981', fontSize: '14px', margin: '4px 0 0' }}>P(Positive): {payload[0].payload.positiveProb}%</p>
+                    {payload[0].payload.avgReturn !== undefined && payload[0].payload.avgReturn !== null && (
+                      <p style={{ color: '#94a3b8', fontSize: '12px', margin: '4px 0 0' }}>Avg return: {payload[0].payload.avgReturn.toFixed(2)}% • n={payload[0].payload.count}</p>
+                    )}
                   </div>
                 ) : null} />
                 <Bar dataKey="positiveProb" name="P(Positive Return)">
@@ -317,27 +778,50 @@ export default function App() {
                 </Bar>
               </BarChart>
             </ResponsiveContainer>
+            {hasBacktest && (
+              <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(140px, 1fr))', gap: '8px', marginTop: '16px' }}>
+                {Object.entries(backtestResult.signals).map(([bucket, summary]) => (
+                  <div key={bucket} style={{ background: 'rgba(15,23,42,0.4)', borderRadius: '8px', padding: '8px 12px', borderLeft: `3px solid ${SIGNALS[bucket].color}` }}>
+                    <p style={{ color: SIGNALS[bucket].color, fontSize: '11px', fontWeight: 600, margin: 0 }}>{bucket}</p>
+                    <p style={{ color: '#e2e8f0', fontSize: '13px', margin: '4px 0 0' }}>{summary.hitRate === null ? '—' : `${summary.hitRate.toFixed(0)}% hit`}</p>
+                    <p style={{ color: '#94a3b8', fontSize: '10px', margin: '2px 0 0' }}>{summary.avgReturn === null ? 'no observations' : `avg ${summary.avgReturn.toFixed(2)}% • n=${summary.count}`}</p>
+                  </div>
+                ))}
+              </div>
+            )}
           </div>
 
           <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(180px, 1fr))', gap: '16px' }}>
             <div style={{ background: 'rgba(30,41,59,0.6)', borderRadius: '16px', padding: '20px', border: '1px solid rgba(148,163,184,0.1)' }}>
               <p style={{ color: '#64748b', fontSize: '12px', margin: 0, textTransform: 'uppercase' }}>Historical Mean</p>
-              <p style={{ fontSize: '24px', fontWeight: 700, margin: '8px 0 4px', color: '#e2e8f0' }}>-2.63%</p>
-              <p style={{ color: '#94a3b8', fontSize: '12px', margin: 0 }}>σ = 2.71%</p>
+              <p style={{ fontSize: '24px', fontWeight: 700, margin: '8px 0 4px', color: '#e2e8f0' }}>{spreadStats.mean.toFixed(2)}%</p>
+              <p style={{ color: '#94a3b8', fontSize: '12px', margin: 0 }}>σ = {spreadStats.std.toFixed(2)}% • {statsLabel}</p>
+              {spreadStats.source === 'data' && <p style={{ color: '#475569', fontSize: '10px', margin: '4px 0 0' }}>Research: {RESEARCH_STATS.mean}% / σ {RESEARCH_STATS.std}%</p>}
             </div>
             <div style={{ background: 'rgba(30,41,59,0.6)', borderRadius: '16px', padding: '20px', border: '1px solid rgba(148,163,184,0.1)' }}>
               <p style={{ color: '#64748b', fontSize: '12px', margin: 0, textTransform: 'uppercase' }}>Contango</p>
-              <p style={{ fontSize: '24px', fontWeight: 700, margin: '8px 0 4px', color: '#10b981' }}>11.18%</p>
+              <p style={{ fontSize: '24px', fontWeight: 700, margin: '8px 0 4px', color: '#10b981' }}>{spreadStats.shareContango.toFixed(2)}%</p>
               <p style={{ color: '#94a3b8', fontSize: '12px', margin: 0 }}>of observations</p>
+              {spreadStats.source === 'data' && <p style={{ color: '#475569', fontSize: '10px', margin: '4px 0 0' }}>Research: {RESEARCH_STATS.shareContango}%</p>}
             </div>
             <div style={{ background: 'rgba(30,41,59,0.6)', borderRadius: '16px', padding: '20px', border: '1px solid rgba(148,163,184,0.1)' }}>
               <p style={{ color: '#64748b', fontSize: '12px', margin: 0, textTransform: 'uppercase' }}>Steep Backwardation</p>
-              <p style={{ fontSize: '24px', fontWeight: 700, margin: '8px 0 4px', color: '#ef4444' }}>7.93%</p>
-              <p style={{ color: '#94a3b8', fontSize: '12px', margin: 0 }}>{'<'}-7.5%</p>
+              <p style={{ fontSize: '24px', fontWeight: 700, margin: '8px 0 4px', color: '#ef4444' }}>{spreadStats.shareSteepBackwardation.toFixed(2)}%</p>
+              <p style={{ color: '#94a3b8', fontSize: '12px', margin: 0 }}>{'<'}{thresholds.bearish.toFixed(2)}%</p>
+              {spreadStats.source === 'data' && <p style={{ color: '#475569', fontSize: '10px', margin: '4px 0 0' }}>Research: {RESEARCH_STATS.shareSteepBackwardation}% ({'<'}{RESEARCH_STATS.thresholds.bearish}%)</p>}
+            </div>
+            <div style={{ background: 'rgba(30,41,59,0.6)', borderRadius: '16px', padding: '20px', border: '1px solid rgba(148,163,184,0.1)' }}>
+              <p style={{ color: '#64748b', fontSize: '12px', margin: 0, textTransform: 'uppercase' }}>Regime Duration</p>
+              <p style={{ fontSize: '24px', fontWeight: 700, margin: '8px 0 4px', color: spreadStats.regimes ? REGIME_COLORS[spreadStats.regimes.current.regime] : '#64748b' }}>{spreadStats.regimes ? `${spreadStats.regimes.current.days}d` : '—'}</p>
+              <p style={{ color: '#94a3b8', fontSize: '12px', margin: 0 }}>
+                {spreadStats.regimes && spreadStats.regimes.averageDuration[spreadStats.regimes.current.regime]
+                  ? `avg ${spreadStats.regimes.averageDuration[spreadStats.regimes.current.regime].toFixed(1)}d in ${spreadStats.regimes.current.regime.toLowerCase()}`
+                  : 'needs more history'}
+              </p>
             </div>
             <div style={{ background: 'rgba(30,41,59,0.6)', borderRadius: '16px', padding: '20px', border: '1px solid rgba(148,163,184,0.1)' }}>
               <p style={{ color: '#64748b', fontSize: '12px', margin: 0, textTransform: 'uppercase' }}>Markets</p>
-              <p style={{ fontSize: '24px', fontWeight: 700, margin: '8px 0 4px', color: '#60a5fa' }}>{termStructure.length}</p>
+              <p style={{ fontSize: '24px', fontWeight: 700, margin: '8px 0 4px', color: '#60a5fa' }}>{curvePoints.length}</p>
               <p style={{ color: '#94a3b8', fontSize: '12px', margin: 0 }}>across all chains</p>
             </div>
           </div>
@@ -345,7 +829,7 @@ export default function App() {
       )}
 
       <div style={{ marginTop: '32px', padding: '16px', borderTop: '1px solid rgba(148,163,184,0.1)', textAlign: 'center' }}>
-        <p style={{ color: '#475569', fontSize: '11px', margin: 0 }}>Data via Pendle API • Chains: Ethereum + Plasma • History: Supabase • Auto-refresh: 5min</p>
+        <p style={{ color: '#475569', fontSize: '11px', margin: 0 }}>Data via Pendle API • Chains: {chainNames} • History: daily snapshots • Auto-refresh: 5min</p>
       </div>
     </div>
   );
@@ -0,0 +1,103 @@
+/**
+ * @jest-environment node
+ */
+import { evaluateAlerts, applyCooldown, DEFAULT_ALERT_RULES } from '../../api/_lib/alerts';
+
+const NOW = new Date('2026-06-01T12:00:00.000Z');
+const THRESHOLDS = { bullish: 0, cautious: -5, bearish: -7.5 };
+
+const market = (address, expiry, impliedApy = 8) => ({ address, name: 'sUSDe', expiry, chain: 'Ethereum', impliedApy, days: 30 });
+const MARKETS = [market('0xa', '2026-06-26T00:00:00.000Z'), market('0xb', '2026-09-24T00:00:00.000Z')];
+
+const state = (previousSpread, currentSpread, overrides = {}) => ({
+  current: { spread: currentSpread, markets: MARKETS },
+  previous: previousSpread === null ? null : { spread: previousSpread, markets: MARKETS },
+  past: {},
+  thresholds: THRESHOLDS,
+  now: NOW,
+  ...overrides,
+});
+
+const keys = (alerts) => alerts.map(a => a.key);
+
+describe('threshold', () => {
+  test('defaults to the bearish cut-off only', () => {
+    expect(keys(evaluateAlerts([{ type: 'threshold' }], state(-4, -6)))).toEqual([]);
+    expect(keys(evaluateAlerts([{ type: 'threshold' }], state(1, -1)))).toEqual([]);
+    expect(keys(evaluateAlerts([{ type: 'threshold' }], state(-7, -8)))).toEqual(['threshold:bearish:down']);
+    expect(keys(evaluateAlerts([{ type: 'threshold' }], state(-8, -7)))).toEqual(['threshold:bearish:up']);
+  });
+
+  test('keys named levels by name, whatever their current value', () => {
+    const moved = state(-3, -4, { thresholds: { ...THRESHOLDS, bearish: -3.5 } });
+    expect(keys(evaluateAlerts([{ type: 'threshold' }], moved))).toEqual(['threshold:bearish:down']);
+  });
+
+  test('accepts numeric and named levels', () => {
+    const rule = { type: 'threshold', levels: [-2, 'cautious'] };
+    expect(keys(evaluateAlerts([rule], state(-1, -6)))).toEqual(['threshold:-2.00:down', 'threshold:cautious:down']);
+  });
+
+  test('needs a previous capture', () => {
+    expect(evaluateAlerts([{ type: 'threshold' }], state(null, -8))).toEqual([]);
+  });
+});
+
+describe('regime', () => {
+  test('fires on a regime change only', () => {
+    const [alert] = evaluateAlerts([{ type: 'regime' }], state(1, -1));
+    expect(alert.key).toBe('regime:BACKWARDATION');
+    expect(alert.rule).toBe('regime');
+    expect(evaluateAlerts([{ type: 'regime' }], state(-5.5, -6))).toEqual([]);
+    expect(keys(evaluateAlerts([{ type: 'regime' }], state(-4, -6)))).toEqual(['regime:STEEP BACKWARDATION']);
+  });
+});
+
+describe('move', () => {
+  const rule = { type: 'move', bp: 100, hours: 24 };
+
+  test('compares with the capture the given hours back', () => {
+    expect(keys(evaluateAlerts([rule], state(-2, -3.5, { past: { 24: { spread: -2 } } })))).toEqual(['move:24h:down']);
+    expect(keys(evaluateAlerts([rule], state(-2, -0.5, { past: { 24: { spread: -2 } } })))).toEqual(['move:24h:up']);
+  });
+
+  test('ignores moves under the bp limit or without a reference', () => {
+    expect(evaluateAlerts([rule], state(-2, -2.9, { past: { 24: { spread: -2 } } }))).toEqual([]);
+    expect(evaluateAlerts([rule], state(-2, -5))).toEqual([]);
+  });
+});
+
+describe('markets', () => {
+  test('reports listed, expired and removed markets', () => {
+    const previous = { spread: -2, markets: [market('0xold', '2026-05-28T00:00:00.000Z'), market('0xgone', '2026-12-31T00:00:00.000Z'), MARKETS[1]] };
+    const current = { spread: -2, markets: [MARKETS[1], market('0xnew', '2027-03-25T00:00:00.000Z')] };
+    const alerts = evaluateAlerts([{ type: 'markets' }], state(null, null, { previous, current }));
+    expect(keys(alerts)).toEqual(['market:listed:0xnew', 'market:expired:0xold', 'market:removed:0xgone']);
+  });
+});
+
+test('default rules evaluate without error', () => {
+  expect(keys(evaluateAlerts(DEFAULT_ALERT_RULES, state(-7, -8)))).toEqual(['threshold:bearish:down']);
+});
+
+test('unknown rule types throw', () => {
+  expect(() => evaluateAlerts([{ type: 'nope' }], state(-1, -1))).toThrow('Unknown alert rule type: nope');
+});
+
+describe('applyCooldown', () => {
+  const alert = (key) => ({ key });
+
+  test('drops alerts fired within the cooldown and repeats in the batch', () => {
+    const recent = [
+      { key: 'susde:regime:CONTANGO', fired_at: '2026-06-01T08:00:00.000Z' },
+      { key: 'susde:threshold:bearish:down', fired_at: '2026-06-01T02:00:00.000Z' },
+    ];
+    const due = applyCooldown(
+      [alert('susde:regime:CONTANGO'), alert('susde:threshold:bearish:down'), alert('susde:move:24h:up'), alert('susde:move:24h:up')],
+      recent,
+      NOW,
+      6
+    );
+    expect(keys(due)).toEqual(['susde:threshold:bearish:down', 'susde:move:24h:up']);
+  });
+});
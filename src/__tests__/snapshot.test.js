@@ -0,0 +1,99 @@
+/**
+ * @jest-environment node
+ */
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createMockPendleServer } from '../../scripts/mock-pendle-server';
+
+// /api/snapshot for sUSDe (Ethereum + Plasma) against the mock with Plasma
+// down. The handler reads its env at import, so each mode loads it afresh.
+const SECRET = 'test-secret';
+
+const ENV = process.env;
+
+let server;
+let dir;
+
+beforeAll(() => new Promise(resolve => {
+  server = createMockPendleServer({ failChains: [9745] });
+  server.listen(0, resolve);
+}));
+
+afterAll(() => new Promise(resolve => {
+  server.closeAllConnections();
+  server.close(resolve);
+}));
+
+beforeEach(() => {
+  process.env = { ...ENV };
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'snapshot-test-'));
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  process.env = ENV;
+  console.error.mockRestore();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const runSnapshot = async (onChainFailure) => {
+  Object.assign(process.env, {
+    STORAGE_BACKEND: 'json',
+    STORAGE_JSON_PATH: path.join(dir, 'history.json'),
+    PENDLE_API_BASE: `http://localhost:${server.address().port}/core/v1`,
+    PENDLE_RETRIES: '0',
+    CRON_SECRET: SECRET,
+    SNAPSHOT_ON_CHAIN_FAILURE: onChainFailure,
+  });
+
+  let handler;
+  jest.isolateModules(() => {
+    handler = require('../../api/snapshot').default;
+  });
+
+  const res = {
+    statusCode: 200,
+    body: null,
+    setHeader() {},
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; },
+    end() { return this; },
+  };
+  await handler({ method: 'GET', query: { asset: 'susde' }, headers: { authorization: `Bearer ${SECRET}` } }, res);
+  return res;
+};
+
+const stored = (table) => {
+  const file = path.join(dir, 'history.json');
+  if (!fs.existsSync(file)) return [];
+  return JSON.parse(fs.readFileSync(file, 'utf8'))[table] || [];
+};
+
+test('skip stores nothing for an asset with a failed chain', async () => {
+  const res = await runSnapshot('skip');
+  expect(res.statusCode).toBe(500);
+  const [result] = res.body.assets;
+  expect(result.error).toMatch(/Plasma/);
+  expect(result.failed_chains).toEqual(['Plasma']);
+  expect(stored('term_spread_history')).toEqual([]);
+  expect(stored('market_snapshots')).toEqual([]);
+  expect(stored('snapshot_runs').map(r => r.status)).toEqual(['failed']);
+});
+
+test('partial stores the chains that answered, flagged as partial', async () => {
+  const res = await runSnapshot('partial');
+  expect(res.statusCode).toBe(200);
+  const [result] = res.body.assets;
+  expect(result.success).toBe(true);
+  expect(result.partial).toBe(true);
+  expect(result.failed_chains).toEqual(['Plasma']);
+
+  const [record] = stored('term_spread_history');
+  expect(record.asset).toBe('susde');
+  expect(record.partial).toBe(true);
+  expect(record.failed_chains).toEqual(['Plasma']);
+  const rows = stored('market_snapshots');
+  expect(rows.length).toBeGreaterThan(0);
+  expect(rows.every(r => r.chain_id === 1 && r.partial === true)).toBe(true);
+});
@@ -0,0 +1,38 @@
+/**
+ * @jest-environment node
+ */
+import { createSupabaseStorage } from '../../api/_lib/storage/supabase';
+
+const captureAt = (i) => new Date(Date.UTC(2025, 0, 1 + i, 12)).toISOString();
+
+describe('queryCaptures', () => {
+  const fetch = global.fetch;
+  let urls;
+
+  beforeEach(() => {
+    urls = [];
+    // Answers each request with one row per listed capture.
+    global.fetch = jest.fn(async (url) => {
+      urls.push(url);
+      const list = decodeURIComponent(url.match(/captured_at=in\.\(([^)]*)\)/)[1]);
+      const rows = list.split(',').map(t => JSON.parse(t)).map((t, i) => ({ captured_at: t, expiry: captureAt(400 - i) }));
+      return { ok: true, json: async () => rows };
+    });
+  });
+
+  afterEach(() => {
+    global.fetch = fetch;
+  });
+
+  test('splits a year of captures across short requests', async () => {
+    const storage = createSupabaseStorage({ url: 'https://example.supabase.co', key: 'key' });
+    const capturedAt = Array.from({ length: 365 }, (_, i) => captureAt(i));
+    const rows = await storage.queryCaptures({ asset: 'susde', capturedAt });
+
+    expect(urls.length).toBeGreaterThan(1);
+    expect(Math.max(...urls.map(u => u.length))).toBeLessThan(4000);
+    expect(new Set(rows.map(r => r.captured_at))).toEqual(new Set(capturedAt));
+    const expiries = rows.map(r => new Date(r.expiry).getTime());
+    expect(expiries).toEqual([...expiries].sort((a, b) => a - b));
+  });
+});
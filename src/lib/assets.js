@@ -0,0 +1,53 @@
+// Tracked Pendle underlyings and the chains their markets are fetched from.
+// Shared by the dashboard and every API route; `id` is the `asset` parameter
+// and the value stored in the asset column of the history tables.
+
+export const CHAINS = [
+  { id: 1, name: 'Ethereum', color: '#627eea' },
+  { id: 42161, name: 'Arbitrum', color: '#28a0f0' },
+  { id: 8453, name: 'Base', color: '#0052ff' },
+  { id: 9745, name: 'Plasma', color: '#00d4aa' },
+];
+
+export const ASSETS = [
+  { id: 'susde', label: 'sUSDe', marketNames: ['susde'], chains: [1, 9745] },
+  { id: 'usde', label: 'USDe', marketNames: ['usde'], chains: [1, 9745] },
+  { id: 'sena', label: 'sENA', marketNames: ['sena'], chains: [1] },
+  { id: 'eeth', label: 'eETH', marketNames: ['eeth', 'weeth'], chains: [1, 42161, 8453] },
+];
+
+export const DEFAULT_ASSET = 'susde';
+
+// Markets under minLiquidity (USD) are shown but left off the curve; those
+// under lowConfidenceLiquidity stay on it, flagged. An asset can override
+// either with its own `liquidityRules`.
+export const DEFAULT_LIQUIDITY_RULES = {
+  minLiquidity: 100000,
+  lowConfidenceLiquidity: 1000000,
+};
+
+// Checks run on every stored spread (src/lib/dataQuality.js): the front leg
+// must have minFrontDays to expiry, the curve at least minMarkets markets,
+// and the spread may not move more than maxSpreadJump (percentage points)
+// from the last clean record within jumpWindowDays. Overridable per asset
+// with `qualityRules`.
+export const DEFAULT_QUALITY_RULES = {
+  minFrontDays: 7,
+  minMarkets: 3,
+  maxSpreadJump: 3,
+  jumpWindowDays: 3,
+};
+
+export const getAsset = (id = DEFAULT_ASSET) => ASSETS.find(a => a.id === (id || DEFAULT_ASSET).toLowerCase()) || null;
+
+export const getAssetChains = (asset) => CHAINS.filter(c => asset.chains.includes(c.id));
+
+// Cross-chain basis is measured against the asset's first listed chain.
+export const getReferenceChain = (asset) => CHAINS.find(c => c.id === asset.chains[0]);
+
+export const getLiquidityRules = (asset) => ({ ...DEFAULT_LIQUIDITY_RULES, ...asset.liquidityRules });
+
+export const getQualityRules = (asset) => ({ ...DEFAULT_QUALITY_RULES, ...asset.qualityRules });
+
+// Chains needed to cover several assets, each fetched once.
+export const chainsForAssets = (assets) => CHAINS.filter(c => assets.some(a => a.chains.includes(c.id)));
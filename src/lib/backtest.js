@@ -0,0 +1,83 @@
+// Forward-return backtest of the term-spread signal: joins daily spread
+// history with a daily price series and measures, per spread decile and per
+// signal bucket, how often the asset was up after each horizon.
+
+import { quantile, mean, classifySignal } from './spreadStats';
+
+export const DEFAULT_HORIZONS = [30, 60, 90];
+export const SIGNAL_BUCKETS = ['BULLISH', 'NEUTRAL', 'CAUTIOUS', 'BEARISH'];
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+const addDays = (date, days) =>
+  new Date(new Date(`${date}T00:00:00Z`).getTime() + days * DAY_MS).toISOString().split('T')[0];
+
+// Day of an ISO date or a unix timestamp (seconds or milliseconds); null
+// when unparseable.
+const parseDay = (value = '') => {
+  const text = value.trim();
+  const time = /^\d+(\.\d+)?$/.test(text)
+    ? parseFloat(text) * (parseFloat(text) < 1e12 ? 1000 : 1)
+    : Date.parse(text);
+  return Number.isFinite(time) ? new Date(time).toISOString().split('T')[0] : null;
+};
+
+// Accepts a header row with a date column and a price/close column. Rows with
+// an unparseable date or a non-positive price are skipped.
+export const parsePriceCsv = (text) => {
+  const lines = text.trim().split(/\r?\n/);
+  const header = lines[0].split(',').map(h => h.trim().toLowerCase());
+  const dateCol = header.findIndex(h => h === 'date' || h === 'timestamp');
+  const priceCol = header.findIndex(h => h === 'price' || h === 'close');
+  if (dateCol === -1 || priceCol === -1) {
+    throw new Error('Price CSV needs a date and a price (or close) column');
+  }
+
+  return lines.slice(1)
+    .map(line => line.split(','))
+    .map(cols => ({ date: parseDay(cols[dateCol]), price: parseFloat(cols[priceCol]) }))
+    .filter(p => p.date && Number.isFinite(p.price) && p.price > 0);
+};
+
+const summarize = (rows) => ({
+  count: rows.length,
+  hitRate: rows.length ? rows.filter(r => r.forwardReturn > 0).length / rows.length * 100 : null,
+  avgReturn: rows.length ? mean(rows.map(r => r.forwardReturn)) * 100 : null,
+});
+
+// series: chronological [{ date, spread }]; prices: [{ date, price }].
+export const runBacktest = (series, prices, { horizons = DEFAULT_HORIZONS, thresholds } = {}) => {
+  const priceByDate = new Map(prices.map(p => [p.date, p.price]));
+  const result = {};
+
+  horizons.forEach(horizon => {
+    const rows = series
+      .map(({ date, spread }) => {
+        const start = priceByDate.get(date);
+        const end = priceByDate.get(addDays(date, horizon));
+        return start && end ? { date, spread, forwardReturn: end / start - 1 } : null;
+      })
+      .filter(Boolean);
+
+    if (rows.length < 10) {
+      result[horizon] = { count: rows.length, deciles: [], signals: {} };
+      return;
+    }
+
+    const spreads = rows.map(r => r.spread);
+    const edges = Array.from({ length: 11 }, (_, i) => quantile(spreads, i * 10));
+    const deciles = Array.from({ length: 10 }, (_, i) => {
+      const inDecile = rows.filter(r => r.spread >= edges[i] && (i === 9 ? r.spread <= edges[i + 1] : r.spread < edges[i + 1]));
+      return { decile: `${i * 10}-${(i + 1) * 10}%`, min: edges[i], max: edges[i + 1], ...summarize(inDecile) };
+    });
+
+    const signals = {};
+    SIGNAL_BUCKETS.forEach(bucket => {
+      signals[bucket] = summarize(rows.filter(r => classifySignal(r.spread, thresholds) === bucket));
+    });
+
+    result[horizon] = { count: rows.length, from: rows[0].date, to: rows[rows.length - 1].date, deciles, signals };
+  });
+
+  return result;
+};
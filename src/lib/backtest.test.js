@@ -0,0 +1,71 @@
+import { parsePriceCsv, runBacktest } from './backtest';
+
+const THRESHOLDS = { bullish: 0, cautious: -5, bearish: -7.5 };
+const day = (i) => new Date(Date.UTC(2025, 0, 1 + i)).toISOString().split('T')[0];
+
+// 20 daily spreads from -10% to +9%, and a price rising 1% of its start a day.
+const SERIES = Array.from({ length: 20 }, (_, i) => ({ date: day(i), spread: i - 10 }));
+const PRICES = Array.from({ length: 40 }, (_, i) => ({ date: day(i), price: 1 + i * 0.01 }));
+
+describe('parsePriceCsv', () => {
+  test('reads ISO dates with a price or close column', () => {
+    expect(parsePriceCsv('date,price\n2025-01-01,1.10\n2025-01-02,1.12\n')).toEqual([
+      { date: '2025-01-01', price: 1.1 },
+      { date: '2025-01-02', price: 1.12 },
+    ]);
+    expect(parsePriceCsv('Date,Open,Close\r\n2025-01-01T00:00:00Z,1,2')).toEqual([{ date: '2025-01-01', price: 2 }]);
+  });
+
+  test('reads unix timestamps in seconds or milliseconds', () => {
+    expect(parsePriceCsv('timestamp,close\n1735689600,0.5\n1735776000000,0.6')).toEqual([
+      { date: '2025-01-01', price: 0.5 },
+      { date: '2025-01-02', price: 0.6 },
+    ]);
+  });
+
+  test('skips unparseable dates and non-positive prices', () => {
+    expect(parsePriceCsv('date,price\nnot a date,1\n,1\n2025-01-01,0\n2025-01-02,abc\n2025-01-03,2')).toEqual([
+      { date: '2025-01-03', price: 2 },
+    ]);
+  });
+
+  test('needs a date and a price column', () => {
+    expect(() => parsePriceCsv('day,value\n2025-01-01,1')).toThrow('Price CSV needs a date and a price (or close) column');
+  });
+});
+
+describe('runBacktest', () => {
+  const result = runBacktest(SERIES, PRICES, { horizons: [10], thresholds: THRESHOLDS })[10];
+
+  test('joins each spread with the price the horizon later', () => {
+    expect(result.count).toBe(20);
+    expect(result.from).toBe(day(0));
+    expect(result.to).toBe(day(19));
+  });
+
+  test('splits the spreads into deciles', () => {
+    expect(result.deciles).toHaveLength(10);
+    expect(result.deciles.map(d => d.count)).toEqual(Array(10).fill(2));
+    expect(result.deciles[0]).toMatchObject({ decile: '0-10%', min: -10, hitRate: 100 });
+    expect(result.deciles[0].avgReturn).toBeCloseTo((0.1 / 1 + 0.1 / 1.01) / 2 * 100, 10);
+  });
+
+  test('summarises each signal bucket', () => {
+    expect(Object.fromEntries(Object.entries(result.signals).map(([bucket, s]) => [bucket, s.count]))).toEqual({
+      BULLISH: 9, NEUTRAL: 6, CAUTIOUS: 2, BEARISH: 3,
+    });
+    expect(result.signals.BEARISH.hitRate).toBe(100);
+  });
+
+  test('counts a fall as a miss', () => {
+    const falling = PRICES.map(p => ({ ...p, price: 2 - p.price }));
+    const { signals } = runBacktest(SERIES, falling, { horizons: [10], thresholds: THRESHOLDS })[10];
+    expect(signals.BULLISH.hitRate).toBe(0);
+    expect(signals.BULLISH.avgReturn).toBeLessThan(0);
+  });
+
+  test('needs ten joined observations', () => {
+    const short = runBacktest(SERIES, PRICES.slice(0, 18), { horizons: [10], thresholds: THRESHOLDS })[10];
+    expect(short).toEqual({ count: 8, deciles: [], signals: {} });
+  });
+});
@@ -0,0 +1,132 @@
+// Curve fitting over a term structure built by ./termStructure, used to read
+// implied APY at fixed tenors so spreads stay comparable as markets list and
+// expire.
+
+export const CURVE_METHODS = ['linear', 'nelson-siegel'];
+export const DEFAULT_CURVE_METHOD = 'linear';
+export const CONSTANT_MATURITIES = [30, 60, 90, 180];
+export const CM_SPREAD_TENORS = { short: 30, long: 180 };
+
+// How markets are weighted, so a thin pool cannot bend the curve: by TVL in
+// the Nelson-Siegel least squares; linear interpolation, which passes through
+// every point it is given, leaves low-liquidity markets out instead. 'equal'
+// uses every market as is.
+export const CURVE_WEIGHTINGS = ['tvl', 'equal'];
+export const DEFAULT_CURVE_WEIGHTING = 'tvl';
+
+// Decay constants (in years) searched when fitting Nelson-Siegel.
+const NS_TAU_GRID = [0.05, 0.1, 0.15, 0.25, 0.35, 0.5, 0.75, 1, 1.5, 2, 3];
+
+const points = (structure, weighting = 'equal') => {
+  const pts = structure
+    .map(m => ({ days: m.days, apy: m.impliedApy, weight: weighting === 'tvl' ? Math.max(m.liquidity || 0, 1) : 1 }))
+    .sort((a, b) => a.days - b.days);
+  const meanWeight = pts.reduce((sum, p) => sum + p.weight, 0) / (pts.length || 1);
+  return pts.map(p => ({ ...p, weight: p.weight / meanWeight }));
+};
+
+// Piecewise linear between markets, flat beyond the first and last maturity.
+// Under 'tvl' weighting, markets flagged 'low' are skipped while at least two
+// others remain.
+export const fitLinear = (structure, weighting = DEFAULT_CURVE_WEIGHTING) => {
+  const liquid = structure.filter(m => m.liquidityFlag !== 'low');
+  const pts = points(weighting === 'tvl' && liquid.length >= 2 ? liquid : structure);
+  if (pts.length === 0) return null;
+
+  return (days) => {
+    if (days <= pts[0].days) return pts[0].apy;
+    const last = pts[pts.length - 1];
+    if (days >= last.days) return last.apy;
+    const i = pts.findIndex(p => p.days >= days);
+    const a = pts[i - 1];
+    const b = pts[i];
+    if (b.days === a.days) return b.apy;
+    return a.apy + (b.apy - a.apy) * (days - a.days) / (b.days - a.days);
+  };
+};
+
+const nsLoadings = (days, tau) => {
+  const t = days / 365;
+  const x = t / tau;
+  const slope = (1 - Math.exp(-x)) / x;
+  return [1, slope, slope - Math.exp(-x)];
+};
+
+const solve3 = (a, b) => {
+  const m = a.map((row, i) => [...row, b[i]]);
+  for (let col = 0; col < 3; col++) {
+    let pivot = col;
+    for (let r = col + 1; r < 3; r++) {
+      if (Math.abs(m[r][col]) > Math.abs(m[pivot][col])) pivot = r;
+    }
+    if (Math.abs(m[pivot][col]) < 1e-12) return null;
+    [m[col], m[pivot]] = [m[pivot], m[col]];
+    for (let r = 0; r < 3; r++) {
+      if (r === col) continue;
+      const f = m[r][col] / m[col][col];
+      for (let c = col; c < 4; c++) m[r][c] -= f * m[col][c];
+    }
+  }
+  return m.map((row, i) => row[3] / m[i][i]);
+};
+
+// Weighted least-squares Nelson-Siegel fit, grid-searching tau. Needs three
+// distinct maturities; returns null otherwise so callers can fall back to linear.
+export const fitNelsonSiegel = (structure, weighting = DEFAULT_CURVE_WEIGHTING) => {
+  const pts = points(structure, weighting);
+  if (new Set(pts.map(p => p.days)).size < 3) return null;
+
+  let best = null;
+  for (const tau of NS_TAU_GRID) {
+    const xtx = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+    const xty = [0, 0, 0];
+    for (const p of pts) {
+      const l = nsLoadings(p.days, tau);
+      for (let i = 0; i < 3; i++) {
+        xty[i] += p.weight * l[i] * p.apy;
+        for (let j = 0; j < 3; j++) xtx[i][j] += p.weight * l[i] * l[j];
+      }
+    }
+    const beta = solve3(xtx, xty);
+    if (!beta) continue;
+
+    const sse = pts.reduce((sum, p) => {
+      const l = nsLoadings(p.days, tau);
+      const fitted = beta[0] * l[0] + beta[1] * l[1] + beta[2] * l[2];
+      return sum + p.weight * (fitted - p.apy) ** 2;
+    }, 0);
+    if (!best || sse < best.sse) best = { tau, beta, sse };
+  }
+  if (!best) return null;
+
+  const { tau, beta } = best;
+  return (days) => {
+    const l = nsLoadings(Math.max(days, 1), tau);
+    return beta[0] * l[0] + beta[1] * l[1] + beta[2] * l[2];
+  };
+};
+
+export const fitCurve = (structure, method = DEFAULT_CURVE_METHOD, weighting = DEFAULT_CURVE_WEIGHTING) => {
+  if (method === 'nelson-siegel') {
+    const ns = fitNelsonSiegel(structure, weighting);
+    if (ns) return { method, curve: ns };
+  }
+  const linear = fitLinear(structure, weighting);
+  return linear ? { method: 'linear', curve: linear } : null;
+};
+
+export const constantMaturityYields = (structure, method = DEFAULT_CURVE_METHOD, { tenors = CONSTANT_MATURITIES, weighting = DEFAULT_CURVE_WEIGHTING } = {}) => {
+  if (structure.length < 2) return null;
+  const fit = fitCurve(structure, method, weighting);
+  if (!fit) return null;
+
+  const yields = {};
+  tenors.forEach(days => { yields[days] = fit.curve(days); });
+
+  const { short, long } = CM_SPREAD_TENORS;
+  const cmSpread = yields[long] !== undefined && yields[short] !== undefined
+    ? yields[long] - yields[short]
+    : null;
+
+  return { method: fit.method, weighting, yields, cmSpread };
+};
@@ -0,0 +1,30 @@
+import { fitLinear, constantMaturityYields } from './curveFit';
+
+const market = (days, impliedApy, liquidityFlag = null) => ({ days, impliedApy, liquidity: liquidityFlag === 'low' ? 500000 : 50000000, liquidityFlag });
+
+// A thin 60d pool printing far off the curve.
+const structure = [market(30, 8), market(60, 14, 'low'), market(90, 10)];
+
+describe('fitLinear', () => {
+  test('skips low-liquidity markets under tvl weighting', () => {
+    expect(fitLinear(structure, 'tvl')(60)).toBeCloseTo(9, 10);
+  });
+
+  test('interpolates through every market under equal weighting', () => {
+    expect(fitLinear(structure, 'equal')(60)).toBeCloseTo(14, 10);
+  });
+
+  test('keeps low-liquidity markets when fewer than two others remain', () => {
+    const thin = [market(30, 8), market(90, 10, 'low')];
+    expect(fitLinear(thin, 'tvl')(60)).toBeCloseTo(9, 10);
+  });
+});
+
+describe('constantMaturityYields', () => {
+  test('records the weighting used by the linear fit', () => {
+    const cm = constantMaturityYields(structure, 'linear');
+    expect(cm.method).toBe('linear');
+    expect(cm.weighting).toBe('tvl');
+    expect(cm.yields[60]).toBeCloseTo(9, 10);
+  });
+});
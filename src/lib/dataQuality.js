@@ -0,0 +1,72 @@
+// Data-quality checks on a term_spread_history record, shared by the
+// snapshot cron and the backfill (which decide whether to reject or store it
+// flagged) and the dashboard (which marks or hides flagged points).
+
+export const QUALITY_FLAGS = {
+  FRONT_EXPIRING: 'front_expiring',
+  ZERO_APY: 'zero_apy',
+  SPREAD_JUMP: 'spread_jump',
+  FEW_MARKETS: 'few_markets',
+};
+
+export const QUALITY_FLAG_LABELS = {
+  [QUALITY_FLAGS.FRONT_EXPIRING]: 'Front leg about to expire',
+  [QUALITY_FLAGS.ZERO_APY]: 'Markets with zero or missing APY',
+  [QUALITY_FLAGS.SPREAD_JUMP]: 'Spread jump vs. previous record',
+  [QUALITY_FLAGS.FEW_MARKETS]: 'Too few markets on the curve',
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const isPositive = (value) => Number.isFinite(value) && value > 0;
+
+// Raw Pendle markets of an asset, still live at `now`, whose implied APY is
+// zero or missing. buildTermStructure drops them, so the curve is short.
+export const countZeroApyMarkets = (assetMarkets, now) =>
+  assetMarkets.filter(m => {
+    if (!m.expiry || new Date(m.expiry) <= now) return false;
+    const details = m.details || {};
+    return !isPositive(details.impliedApy ?? m.impliedApy);
+  }).length;
+
+// Stored records carry quality_flags as null or a non-empty array.
+export const isFlagged = (record) => Array.isArray(record.quality_flags) && record.quality_flags.length > 0;
+
+// The last clean record before `date` that is recent enough to compare
+// against, from chronological history rows.
+export const previousCleanRecord = (history, date, { jumpWindowDays }) => {
+  const cutoff = new Date(`${date}T00:00:00.000Z`).getTime() - jumpWindowDays * DAY_MS;
+  return [...history]
+    .reverse()
+    .find(r => r.date < date && !isFlagged(r) && new Date(`${r.date}T00:00:00.000Z`).getTime() >= cutoff) || null;
+};
+
+// [{ flag, message }] for one record. `structure` is the curve it was built
+// from, `zeroApyMarkets` the live markets dropped for lack of an APY and
+// `previous` the record to measure the spread jump against (or null).
+export const checkQuality = ({ record, structure, zeroApyMarkets = 0, previous = null }, rules) => {
+  const issues = [];
+  const front = structure[0];
+
+  if (front && front.days < rules.minFrontDays) {
+    issues.push({ flag: QUALITY_FLAGS.FRONT_EXPIRING, message: `Front leg ${front.name} ${front.expiry.split('T')[0]} has ${front.days}d to expiry (min ${rules.minFrontDays}d)` });
+  }
+
+  const zeroUnderlying = structure.filter(m => !isPositive(m.underlyingApy)).length;
+  if (zeroApyMarkets > 0 || zeroUnderlying > 0) {
+    issues.push({ flag: QUALITY_FLAGS.ZERO_APY, message: `${zeroApyMarkets} market(s) without implied APY, ${zeroUnderlying} on the curve without underlying APY` });
+  }
+
+  if (record.markets_count < rules.minMarkets) {
+    issues.push({ flag: QUALITY_FLAGS.FEW_MARKETS, message: `${record.markets_count} market(s) on the curve (min ${rules.minMarkets})` });
+  }
+
+  if (previous) {
+    const jump = record.term_spread - parseFloat(previous.term_spread);
+    if (Math.abs(jump) > rules.maxSpreadJump) {
+      issues.push({ flag: QUALITY_FLAGS.SPREAD_JUMP, message: `Term spread moved ${jump > 0 ? '+' : ''}${jump.toFixed(2)}pp since ${previous.date} (max ${rules.maxSpreadJump}pp)` });
+    }
+  }
+
+  return issues;
+};
@@ -0,0 +1,89 @@
+import { checkQuality, previousCleanRecord, countZeroApyMarkets, isFlagged, QUALITY_FLAGS } from './dataQuality';
+import { DEFAULT_QUALITY_RULES } from './assets';
+
+const RULES = DEFAULT_QUALITY_RULES;
+const NOW = new Date('2025-06-01T00:00:00.000Z');
+
+const market = (days, overrides = {}) => ({ name: 'sUSDe', expiry: new Date(NOW.getTime() + days * 86400000).toISOString(), days, impliedApy: 8, underlyingApy: 6, ...overrides });
+const CURVE = [market(30), market(90), market(180)];
+const record = (overrides = {}) => ({ date: '2025-06-01', term_spread: -2, markets_count: 3, ...overrides });
+const flags = (issues) => issues.map(i => i.flag);
+
+describe('checkQuality', () => {
+  test('passes a clean record', () => {
+    expect(checkQuality({ record: record(), structure: CURVE, previous: record({ date: '2025-05-31', term_spread: -1.5 }) }, RULES)).toEqual([]);
+  });
+
+  test('flags a front leg close to expiry', () => {
+    const issues = checkQuality({ record: record(), structure: [market(6), ...CURVE] }, RULES);
+    expect(flags(issues)).toEqual([QUALITY_FLAGS.FRONT_EXPIRING]);
+    expect(checkQuality({ record: record(), structure: [market(7), ...CURVE] }, RULES)).toEqual([]);
+  });
+
+  test('flags markets without implied or underlying APY', () => {
+    expect(flags(checkQuality({ record: record(), structure: CURVE, zeroApyMarkets: 1 }, RULES))).toEqual([QUALITY_FLAGS.ZERO_APY]);
+    const noUnderlying = [market(30, { underlyingApy: 0 }), market(90), market(180)];
+    expect(flags(checkQuality({ record: record(), structure: noUnderlying }, RULES))).toEqual([QUALITY_FLAGS.ZERO_APY]);
+  });
+
+  test('flags a short curve', () => {
+    expect(flags(checkQuality({ record: record({ markets_count: 2 }), structure: CURVE.slice(0, 2) }, RULES))).toEqual([QUALITY_FLAGS.FEW_MARKETS]);
+  });
+
+  test('flags a spread jump beyond maxSpreadJump either way', () => {
+    const previous = record({ date: '2025-05-31', term_spread: '1.5' });
+    const [issue] = checkQuality({ record: record({ term_spread: -2 }), structure: CURVE, previous }, RULES);
+    expect(issue.flag).toBe(QUALITY_FLAGS.SPREAD_JUMP);
+    expect(issue.message).toBe('Term spread moved -3.50pp since 2025-05-31 (max 3pp)');
+    expect(flags(checkQuality({ record: record({ term_spread: 1.1 }), structure: CURVE, previous: record({ term_spread: -2 }) }, RULES))).toEqual([QUALITY_FLAGS.SPREAD_JUMP]);
+    expect(checkQuality({ record: record({ term_spread: 1 }), structure: CURVE, previous: record({ term_spread: -2 }) }, RULES)).toEqual([]);
+  });
+
+  test('reports every failing check', () => {
+    const issues = checkQuality({ record: record({ markets_count: 1 }), structure: [market(2)], zeroApyMarkets: 2, previous: record({ term_spread: 5 }) }, RULES);
+    expect(flags(issues)).toEqual([QUALITY_FLAGS.FRONT_EXPIRING, QUALITY_FLAGS.ZERO_APY, QUALITY_FLAGS.FEW_MARKETS, QUALITY_FLAGS.SPREAD_JUMP]);
+  });
+});
+
+describe('previousCleanRecord', () => {
+  const history = [
+    record({ date: '2025-05-27', term_spread: -1 }),
+    record({ date: '2025-05-29', term_spread: -1.2 }),
+    record({ date: '2025-05-30', term_spread: 4, quality_flags: ['spread_jump'] }),
+    record({ date: '2025-05-31', term_spread: -1.4, quality_flags: [] }),
+    record({ date: '2025-06-01', term_spread: -1.5 }),
+  ];
+
+  test('takes the last record before the date', () => {
+    expect(previousCleanRecord(history, '2025-06-01', RULES).date).toBe('2025-05-31');
+  });
+
+  test('skips flagged records', () => {
+    expect(previousCleanRecord(history.slice(0, 3), '2025-06-01', RULES).date).toBe('2025-05-29');
+  });
+
+  test('ignores records older than jumpWindowDays', () => {
+    expect(previousCleanRecord(history.slice(0, 3), '2025-06-01', { jumpWindowDays: 3 }).date).toBe('2025-05-29');
+    expect(previousCleanRecord(history.slice(0, 3), '2025-06-02', { jumpWindowDays: 3 })).toBeNull();
+    expect(previousCleanRecord(history.slice(0, 1), '2025-05-30', { jumpWindowDays: 3 }).date).toBe('2025-05-27');
+  });
+});
+
+describe('countZeroApyMarkets', () => {
+  test('counts live markets without a positive implied APY', () => {
+    const markets = [
+      { expiry: '2025-07-01T00:00:00.000Z', details: { impliedApy: 0.08 } },
+      { expiry: '2025-07-01T00:00:00.000Z', details: { impliedApy: 0 } },
+      { expiry: '2025-07-01T00:00:00.000Z', impliedApy: null },
+      { expiry: '2025-05-01T00:00:00.000Z', details: { impliedApy: 0 } },
+      { details: { impliedApy: 0 } },
+    ];
+    expect(countZeroApyMarkets(markets, NOW)).toBe(2);
+  });
+});
+
+test('isFlagged needs a non-empty flag list', () => {
+  expect(isFlagged({ quality_flags: ['zero_apy'] })).toBe(true);
+  expect(isFlagged({ quality_flags: [] })).toBe(false);
+  expect(isFlagged({ quality_flags: null })).toBe(false);
+});
@@ -0,0 +1,54 @@
+// Per-market analytics derived from a term structure built by ./termStructure.
+// APYs are in percent, PT prices in units of the underlying at maturity.
+
+const years = (days) => days / 365;
+
+// Annualised rate implied between two maturities: what rolling from the
+// shorter PT into the longer one locks in for the gap.
+export const forwardRate = (near, far) => {
+  if (far.days <= near.days) return null;
+  const growth = (1 + far.impliedApy / 100) ** years(far.days) / (1 + near.impliedApy / 100) ** years(near.days);
+  return (growth ** (1 / years(far.days - near.days)) - 1) * 100;
+};
+
+// Underlying APY at which a YT pays for itself: yield accrued on one unit of
+// underlying until maturity equals the YT price (1 - PT price). Ignores
+// points, fees and the time value of the YT premium.
+export const ytBreakevenApy = (ptPrice, days) => {
+  if (!(days > 0) || !(ptPrice > 0) || ptPrice >= 1) return null;
+  return ((2 - ptPrice) ** (1 / years(days)) - 1) * 100;
+};
+
+// Adds premium (implied - underlying), PT discount to par, fixed return to
+// maturity, YT breakeven and roll yield versus the previous maturity on the
+// curve. Markets left off the curve get no roll yield and are skipped as the
+// previous leg.
+export const withAnalytics = (structure) => {
+  const curve = structure
+    .filter(m => m.liquidityFlag !== 'excluded')
+    .sort((a, b) => a.days - b.days);
+  const previous = new Map(curve.map((m, i) => [m, curve.slice(0, i).reverse().find(p => p.days < m.days)]));
+
+  return structure.map(m => {
+    const near = previous.get(m);
+    return {
+      ...m,
+      premium: m.impliedApy - m.underlyingApy,
+      ptDiscount: (1 - m.ptPrice) * 100,
+      fixedReturn: (1 / m.ptPrice - 1) * 100,
+      ytBreakevenApy: ytBreakevenApy(m.ptPrice, m.days),
+      rollYield: near ? forwardRate(near, m) : null,
+    };
+  });
+};
+
+// Underlying APY across the curve, weighted by liquidity (equal weights when
+// no market reports any).
+export const weightedUnderlyingApy = (structure) => {
+  const markets = structure.filter(m => m.liquidityFlag !== 'excluded' && m.underlyingApy > 0);
+  if (markets.length === 0) return null;
+  const total = markets.reduce((sum, m) => sum + (m.liquidity || 0), 0);
+  return total > 0
+    ? markets.reduce((sum, m) => sum + m.underlyingApy * (m.liquidity || 0), 0) / total
+    : markets.reduce((sum, m) => sum + m.underlyingApy, 0) / markets.length;
+};
@@ -0,0 +1,55 @@
+import { forwardRate, ytBreakevenApy, withAnalytics } from './marketAnalytics';
+
+describe('forwardRate', () => {
+  test('is the rate locked in between two maturities', () => {
+    // 1.06^2 / 1.04 = 1.1236 / 1.04 over the second year.
+    expect(forwardRate({ days: 365, impliedApy: 4 }, { days: 730, impliedApy: 6 })).toBeCloseTo((1.1236 / 1.04 - 1) * 100, 10);
+  });
+
+  test('equals the rate of a flat curve', () => {
+    expect(forwardRate({ days: 30, impliedApy: 8 }, { days: 120, impliedApy: 8 })).toBeCloseTo(8, 10);
+  });
+
+  test('is below both rates on an inverted curve', () => {
+    const rate = forwardRate({ days: 365, impliedApy: 12 }, { days: 730, impliedApy: 10 });
+    expect(rate).toBeCloseTo((1.21 / 1.12 - 1) * 100, 10);
+    expect(rate).toBeLessThan(10);
+  });
+
+  test('needs a later far leg', () => {
+    expect(forwardRate({ days: 90, impliedApy: 8 }, { days: 90, impliedApy: 9 })).toBeNull();
+    expect(forwardRate({ days: 90, impliedApy: 8 }, { days: 30, impliedApy: 9 })).toBeNull();
+  });
+});
+
+describe('ytBreakevenApy', () => {
+  test('is the underlying APY that accrues the YT price by maturity', () => {
+    // YT at 0.10: 1.10 after one year; YT at 0.21: 1.21 = 1.1^2 after two.
+    expect(ytBreakevenApy(0.9, 365)).toBeCloseTo(10, 10);
+    expect(ytBreakevenApy(0.79, 730)).toBeCloseTo(10, 10);
+  });
+
+  test('is null without a maturity or a PT below par', () => {
+    expect(ytBreakevenApy(0.9, 0)).toBeNull();
+    expect(ytBreakevenApy(1, 90)).toBeNull();
+    expect(ytBreakevenApy(0, 90)).toBeNull();
+  });
+});
+
+describe('withAnalytics', () => {
+  test('rolls from the previous maturity on the curve, skipping excluded markets', () => {
+    const structure = [
+      { address: 'a', days: 365, impliedApy: 4, underlyingApy: 3, ptPrice: 0.9 },
+      { address: 'x', days: 500, impliedApy: 30, underlyingApy: 3, ptPrice: 0.7, liquidityFlag: 'excluded' },
+      { address: 'b', days: 730, impliedApy: 6, underlyingApy: 5, ptPrice: 0.79 },
+    ];
+    const [a, x, b] = withAnalytics(structure);
+    expect(a.rollYield).toBeNull();
+    expect(x.rollYield).toBeNull();
+    expect(b.rollYield).toBeCloseTo((1.1236 / 1.04 - 1) * 100, 10);
+    expect(b.premium).toBeCloseTo(1, 10);
+    expect(b.ptDiscount).toBeCloseTo(21, 10);
+    expect(b.fixedReturn).toBeCloseTo((1 / 0.79 - 1) * 100, 10);
+    expect(b.ytBreakevenApy).toBeCloseTo(10, 10);
+  });
+});
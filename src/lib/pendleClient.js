@@ -0,0 +1,173 @@
+// Pendle API client shared by the dashboard and the snapshot cron. Every
+// chain is fetched page by page with a timeout and retried with exponential
+// backoff; a chain that still fails is reported in `status` instead of
+// silently contributing zero markets.
+
+export const PENDLE_API_BASE = 'https://api-v2.pendle.finance/core/v1';
+
+export const DEFAULT_CLIENT_OPTIONS = {
+  baseUrl: PENDLE_API_BASE,
+  timeoutMs: 10000,
+  retries: 3,
+  backoffMs: 500,
+  pageSize: 100,
+  maxPages: 20,
+};
+
+class PendleError extends Error {
+  constructor(message, { status, retryable = true } = {}) {
+    super(message);
+    this.name = 'PendleError';
+    this.status = status;
+    this.retryable = retryable;
+  }
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const getJson = async (url, timeoutMs) => {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  try {
+    const response = await fetch(url, { signal: controller.signal });
+    if (!response.ok) {
+      // Client errors other than rate limiting will not improve on retry.
+      const retryable = response.status === 429 || response.status >= 500;
+      throw new PendleError(`HTTP ${response.status}`, { status: response.status, retryable });
+    }
+    try {
+      return await response.json();
+    } catch (parseError) {
+      throw new PendleError('Invalid JSON response');
+    }
+  } catch (error) {
+    if (error.name === 'AbortError') throw new PendleError(`Timed out after ${timeoutMs}ms`);
+    if (error instanceof PendleError) throw error;
+    throw new PendleError(error.message);
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+const withRetry = async (request, { retries, backoffMs }) => {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return { value: await request(), attempts: attempt + 1 };
+    } catch (error) {
+      if (!error.retryable || attempt >= retries) {
+        error.attempts = attempt + 1;
+        throw error;
+      }
+      await sleep(backoffMs * 2 ** attempt);
+    }
+  }
+};
+
+const isFiniteNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+// A market is usable when it can be placed on the curve; anything else is
+// counted as invalid rather than passed on half-formed. Expired markets carry
+// no current APY, so `requireApy` is off for the inactive listing.
+export const validateMarket = (market, { requireApy = true } = {}) => {
+  if (!market || typeof market !== 'object') return 'not an object';
+  if (typeof market.address !== 'string' || !market.address) return 'missing address';
+  if (typeof market.name !== 'string') return 'missing name';
+  if (!market.expiry || Number.isNaN(new Date(market.expiry).getTime())) return 'invalid expiry';
+  const details = market.details || {};
+  if (requireApy && !isFiniteNumber(details.impliedApy ?? market.impliedApy)) return 'invalid impliedApy';
+  if (details.liquidity !== undefined && !isFiniteNumber(details.liquidity)) return 'invalid liquidity';
+  return null;
+};
+
+const pageItems = (data) => {
+  if (!data || typeof data !== 'object') throw new PendleError('Unexpected response shape', { retryable: false });
+  const items = data.markets || data.results;
+  if (!Array.isArray(items)) throw new PendleError('Response has no markets array', { retryable: false });
+  return items;
+};
+
+// All markets of one chain, `listing` being 'active' (default) or 'inactive'
+// (expired). Resolves with a status object; never rejects.
+export const fetchChainMarkets = async (chain, options = {}) => {
+  const { baseUrl, timeoutMs, retries, backoffMs, pageSize, maxPages, listing = 'active' } = { ...DEFAULT_CLIENT_OPTIONS, ...options };
+  const status = { chain: chain.name, chainId: chain.id, ok: false, markets: [], invalid: 0, pages: 0, attempts: 0, error: null };
+  const seen = new Set();
+
+  try {
+    for (let page = 0; page < maxPages; page++) {
+      const url = `${baseUrl}/${chain.id}/markets/${listing}?limit=${pageSize}&skip=${page * pageSize}`;
+      const { value, attempts } = await withRetry(() => getJson(url, timeoutMs), { retries, backoffMs });
+      status.attempts += attempts;
+      const items = pageItems(value);
+      status.pages++;
+
+      // Endpoints that ignore `skip` return the first page again.
+      const fresh = items.filter(m => !m || !seen.has(m.address));
+      fresh.forEach(market => {
+        if (market) seen.add(market.address);
+        if (validateMarket(market, { requireApy: listing === 'active' })) {
+          status.invalid++;
+          return;
+        }
+        status.markets.push({ ...market, chain: chain.name, chainId: chain.id });
+      });
+
+      const total = isFiniteNumber(value.total) ? value.total : null;
+      if (fresh.length === 0 || items.length < pageSize || (total !== null && (page + 1) * pageSize >= total)) break;
+    }
+    status.ok = true;
+  } catch (error) {
+    status.attempts += error.attempts || 0;
+    status.error = error.message;
+    status.markets = [];
+  }
+  return status;
+};
+
+// Fetches several chains in parallel. `markets` holds the markets of the
+// chains that succeeded; `failed` lists the chain names that did not.
+export const fetchMarkets = async (chains, options = {}) => {
+  const status = await Promise.all(chains.map(chain => fetchChainMarkets(chain, options)));
+  return {
+    markets: status.flatMap(s => s.markets),
+    status: status.map(({ markets, ...s }) => ({ ...s, markets: markets.length })),
+    failed: status.filter(s => !s.ok).map(s => s.chain),
+  };
+};
+
+// Daily history of one market between two dates: [{ timestamp, impliedApy,
+// underlyingApy, tvl }] with APYs as decimals, like the markets endpoint.
+// Accepts both the row (`results`) and the columnar response layouts. Rejects
+// once retries are exhausted.
+export const fetchMarketHistory = async (chain, address, { from, to, ...options }) => {
+  const { baseUrl, timeoutMs, retries, backoffMs } = { ...DEFAULT_CLIENT_OPTIONS, ...options };
+  const url = `${baseUrl}/${chain.id}/markets/${address}/historical-data?time_frame=day`
+    + `&timestamp_start=${encodeURIComponent(new Date(from).toISOString())}&timestamp_end=${encodeURIComponent(new Date(to).toISOString())}`;
+  const { value } = await withRetry(() => getJson(url, timeoutMs), { retries, backoffMs });
+
+  let rows;
+  if (value && Array.isArray(value.results)) {
+    rows = value.results;
+  } else if (value && Array.isArray(value.timestamp)) {
+    rows = value.timestamp.map((timestamp, i) => ({
+      timestamp,
+      impliedApy: value.impliedApy?.[i],
+      underlyingApy: value.underlyingApy?.[i],
+      tvl: value.tvl?.[i],
+    }));
+  } else {
+    throw new PendleError('Unexpected historical data shape', { retryable: false });
+  }
+
+  // Timestamps come as ISO strings or unix seconds.
+  return rows
+    .map(r => ({ ...r, time: new Date(typeof r.timestamp === 'number' && r.timestamp < 1e12 ? r.timestamp * 1000 : r.timestamp).getTime() }))
+    .filter(r => Number.isFinite(r.time) && isFiniteNumber(r.impliedApy))
+    .sort((a, b) => a.time - b.time)
+    .map(r => ({
+      timestamp: new Date(r.time).toISOString(),
+      impliedApy: r.impliedApy,
+      underlyingApy: isFiniteNumber(r.underlyingApy) ? r.underlyingApy : null,
+      tvl: isFiniteNumber(r.tvl) ? r.tvl : null,
+    }));
+};
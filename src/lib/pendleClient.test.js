@@ -0,0 +1,93 @@
+/**
+ * @jest-environment node
+ */
+import { createMockPendleServer } from '../../scripts/mock-pendle-server';
+import { fetchChainMarkets, fetchMarkets } from './pendleClient';
+import { CHAINS } from './assets';
+
+const ETHEREUM = CHAINS.find(c => c.id === 1);
+const ARBITRUM = CHAINS.find(c => c.id === 42161);
+const FAST = { retries: 3, backoffMs: 1, timeoutMs: 2000 };
+
+// Starts the mock on an ephemeral port; resolves with its base URL and a
+// close function.
+const startMock = (options) => new Promise(resolve => {
+  const server = createMockPendleServer(options);
+  server.listen(0, () => resolve({
+    baseUrl: `http://localhost:${server.address().port}/core/v1`,
+    close: () => new Promise(done => {
+      server.closeAllConnections();
+      server.close(done);
+    }),
+  }));
+});
+
+const withMock = (options, run) => async () => {
+  const mock = await startMock(options);
+  try {
+    await run(mock.baseUrl);
+  } finally {
+    await mock.close();
+  }
+};
+
+describe('fetchChainMarkets', () => {
+  test('fetches every page of a chain', withMock({}, async (baseUrl) => {
+    const status = await fetchChainMarkets(ETHEREUM, { ...FAST, baseUrl });
+    expect(status.ok).toBe(true);
+    expect(status.markets).toHaveLength(25);
+    expect(status.markets.every(m => m.chain === 'Ethereum' && m.chainId === 1)).toBe(true);
+  }));
+
+  test('pages with limit/skip', withMock({}, async (baseUrl) => {
+    const status = await fetchChainMarkets(ETHEREUM, { ...FAST, baseUrl, pageSize: 4 });
+    expect(status.ok).toBe(true);
+    expect(status.pages).toBe(7);
+    expect(new Set(status.markets.map(m => m.address)).size).toBe(25);
+  }));
+
+  test('de-duplicates when the endpoint ignores skip', withMock({ ignoreSkip: true }, async (baseUrl) => {
+    const status = await fetchChainMarkets(ETHEREUM, { ...FAST, baseUrl, pageSize: 4 });
+    expect(status.ok).toBe(true);
+    expect(status.pages).toBe(2);
+    expect(status.markets).toHaveLength(4);
+  }));
+
+  test('retries through transient failures', withMock({ flaky: 2 }, async (baseUrl) => {
+    const status = await fetchChainMarkets(ARBITRUM, { ...FAST, baseUrl });
+    expect(status.ok).toBe(true);
+    expect(status.attempts).toBe(3);
+    expect(status.markets).toHaveLength(5);
+  }));
+
+  test('reports ok:false once retries are exhausted on 503', withMock({ failChains: [42161] }, async (baseUrl) => {
+    const status = await fetchChainMarkets(ARBITRUM, { ...FAST, baseUrl, retries: 2 });
+    expect(status.ok).toBe(false);
+    expect(status.error).toBe('HTTP 503');
+    expect(status.attempts).toBe(3);
+    expect(status.markets).toEqual([]);
+  }));
+
+  test('reports ok:false on a malformed body without retrying', withMock({ malformedChains: [42161] }, async (baseUrl) => {
+    const status = await fetchChainMarkets(ARBITRUM, { ...FAST, baseUrl });
+    expect(status.ok).toBe(false);
+    expect(status.error).toBe('Response has no markets array');
+    expect(status.attempts).toBe(1);
+  }));
+
+  test('reports ok:false on timeout', withMock({ delayMs: 300 }, async (baseUrl) => {
+    const status = await fetchChainMarkets(ARBITRUM, { ...FAST, baseUrl, timeoutMs: 50, retries: 1 });
+    expect(status.ok).toBe(false);
+    expect(status.error).toBe('Timed out after 50ms');
+    expect(status.attempts).toBe(2);
+  }));
+});
+
+describe('fetchMarkets', () => {
+  test('keeps the chains that answered and lists the failed ones', withMock({ failChains: [42161] }, async (baseUrl) => {
+    const result = await fetchMarkets([ETHEREUM, ARBITRUM], { ...FAST, baseUrl, retries: 0 });
+    expect(result.failed).toEqual(['Arbitrum']);
+    expect(result.markets).toHaveLength(25);
+    expect(result.status.map(s => [s.chain, s.ok, s.markets])).toEqual([['Ethereum', true, 25], ['Arbitrum', false, 0]]);
+  }));
+});
@@ -0,0 +1,139 @@
+// Summary statistics and signal thresholds over stored term spreads, shared
+// by api/stats.js and the dashboard. The BlockTower research numbers are kept
+// as a labelled reference and as the fallback while history is short.
+
+export const RESEARCH_STATS = {
+  source: 'BlockTower research',
+  mean: -2.63,
+  std: 2.71,
+  shareContango: 11.18,
+  shareSteepBackwardation: 7.93,
+  thresholds: { bullish: 0, cautious: -5, bearish: -7.5 },
+  positiveReturnByDecile: [
+    { decile: '0-10%', positiveProb: 12 }, { decile: '10-20%', positiveProb: 18 },
+    { decile: '20-30%', positiveProb: 32 }, { decile: '30-40%', positiveProb: 42 },
+    { decile: '40-50%', positiveProb: 51 }, { decile: '50-60%', positiveProb: 58 },
+    { decile: '60-70%', positiveProb: 72 }, { decile: '70-80%', positiveProb: 81 },
+    { decile: '80-90%', positiveProb: 85 }, { decile: '90-100%', positiveProb: 92 },
+  ],
+};
+
+export const MIN_OBSERVATIONS = 30;
+
+// Percentiles at which the research cut-offs (-5%, -7.5%) sat in its sample.
+export const CAUTIOUS_PERCENTILE = 20;
+export const BEARISH_PERCENTILE = 8;
+
+export const REGIMES = {
+  CONTANGO: 'CONTANGO',
+  BACKWARDATION: 'BACKWARDATION',
+  STEEP_BACKWARDATION: 'STEEP BACKWARDATION',
+};
+
+export const mean = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+
+export const std = (values) => {
+  if (values.length < 2) return 0;
+  const m = mean(values);
+  return Math.sqrt(values.reduce((sum, v) => sum + (v - m) ** 2, 0) / (values.length - 1));
+};
+
+// Linear-interpolated percentile (0-100) of a sample.
+export const quantile = (values, pct) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const pos = (sorted.length - 1) * pct / 100;
+  const lo = Math.floor(pos);
+  const hi = Math.ceil(pos);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+};
+
+// Share (0-100) of the sample at or below value.
+export const percentileOf = (values, value) =>
+  values.length === 0 ? null : values.filter(v => v <= value).length / values.length * 100;
+
+export const classifyRegime = (spread, thresholds = RESEARCH_STATS.thresholds) => {
+  if (spread > thresholds.bullish) return REGIMES.CONTANGO;
+  if (spread < thresholds.cautious) return REGIMES.STEEP_BACKWARDATION;
+  return REGIMES.BACKWARDATION;
+};
+
+export const classifySignal = (spread, thresholds = RESEARCH_STATS.thresholds) => {
+  if (spread > thresholds.bullish) return 'BULLISH';
+  if (spread < thresholds.bearish) return 'BEARISH';
+  if (spread < thresholds.cautious) return 'CAUTIOUS';
+  return 'NEUTRAL';
+};
+
+export const deriveThresholds = (spreads) => {
+  const cautious = Math.min(quantile(spreads, CAUTIOUS_PERCENTILE), 0);
+  const bearish = Math.min(quantile(spreads, BEARISH_PERCENTILE), cautious);
+  return { bullish: 0, cautious, bearish };
+};
+
+// Consecutive runs of the same regime over chronological { date, spread } rows.
+export const regimeRuns = (series, thresholds) => {
+  const runs = [];
+  series.forEach(({ date, spread }) => {
+    const regime = classifyRegime(spread, thresholds);
+    const last = runs[runs.length - 1];
+    if (last && last.regime === regime) {
+      last.end = date;
+      last.days += 1;
+    } else {
+      runs.push({ regime, start: date, end: date, days: 1 });
+    }
+  });
+  return runs;
+};
+
+export const ROLLING_WINDOW = 30;
+
+// Trailing mean, standard deviation and z-score of each point over the last
+// `window` observations, itself included. Points with less than half a window
+// behind them get nulls.
+export const rollingStats = (series, window = ROLLING_WINDOW) =>
+  series.map((point, i) => {
+    const values = series.slice(Math.max(0, i - window + 1), i + 1).map(s => s.spread);
+    if (values.length < Math.ceil(window / 2)) return { ...point, mean: null, std: null, z: null };
+    const m = mean(values);
+    const sd = std(values);
+    return { ...point, mean: m, std: sd, z: sd > 0 ? (point.spread - m) / sd : null };
+  });
+
+export const computeSpreadStats = (series, current) => {
+  const spreads = series.map(s => s.spread);
+  if (spreads.length < MIN_OBSERVATIONS) {
+    return { ...RESEARCH_STATS, source: 'research', count: spreads.length, current: current ?? null, percentile: null };
+  }
+
+  const thresholds = deriveThresholds(spreads);
+  const today = current ?? spreads[spreads.length - 1];
+  const runs = regimeRuns(series, thresholds);
+
+  const averageDuration = {};
+  Object.values(REGIMES).forEach(regime => {
+    const matching = runs.filter(r => r.regime === regime);
+    averageDuration[regime] = matching.length ? mean(matching.map(r => r.days)) : null;
+  });
+
+  return {
+    source: 'data',
+    count: spreads.length,
+    from: series[0].date,
+    to: series[series.length - 1].date,
+    mean: mean(spreads),
+    std: std(spreads),
+    min: Math.min(...spreads),
+    max: Math.max(...spreads),
+    current: today,
+    percentile: percentileOf(spreads, today),
+    shareContango: spreads.filter(v => v > thresholds.bullish).length / spreads.length * 100,
+    shareSteepBackwardation: spreads.filter(v => v < thresholds.bearish).length / spreads.length * 100,
+    thresholds,
+    regimes: {
+      current: runs[runs.length - 1],
+      averageDuration,
+      runs: runs.length,
+    },
+  };
+};
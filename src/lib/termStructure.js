@@ -0,0 +1,143 @@
+// Pure term-structure engine shared by the dashboard (src/App.js) and the
+// snapshot cron (api/snapshot.js), so the spread stored in history is the
+// same number shown on screen.
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+const YEAR_MS = DAY_MS * 365;
+
+export const daysToExpiry = (expiry, now = new Date()) =>
+  Math.ceil((new Date(expiry) - new Date(now)) / DAY_MS);
+
+// PT price in units of the accounting asset, implied by the market's APY:
+// impliedApy = (1 / ptPrice) ^ (1 / yearsToExpiry) - 1.
+export const ptPriceFromApy = (impliedApy, expiry, now = new Date()) => {
+  const years = Math.max(new Date(expiry) - new Date(now), 0) / YEAR_MS;
+  return 1 / Math.pow(1 + impliedApy / 100, years);
+};
+
+// asset: an entry of ASSETS in ./assets. Markets must be on one of its chains
+// when they carry a chainId.
+export const isAssetMarket = (market, asset) =>
+  asset.marketNames.includes((market.name || '').toLowerCase()) &&
+  (market.chainId === undefined || asset.chains.includes(market.chainId));
+
+export const filterAssetMarkets = (markets, asset) => markets.filter(m => isAssetMarket(m, asset));
+
+// APYs come back from Pendle as fractions; the engine works in percent.
+export const normalizeMarket = (market, now = new Date()) => {
+  const details = market.details || {};
+  const impliedApy = (details.impliedApy ?? market.impliedApy ?? 0) * 100;
+  return {
+    address: market.address,
+    name: market.name,
+    chain: market.chain,
+    chainId: market.chainId,
+    expiry: market.expiry,
+    days: daysToExpiry(market.expiry, now),
+    impliedApy,
+    underlyingApy: (details.underlyingApy ?? market.underlyingApy ?? details.aggregatedApy ?? 0) * 100,
+    liquidity: details.liquidity || 0,
+    ptPrice: ptPriceFromApy(impliedApy, market.expiry, now),
+  };
+};
+
+// Inverse of the per-market rows written to market_snapshots by api/snapshot.js.
+export const fromSnapshotRow = (row) => ({
+  address: row.address,
+  name: row.name,
+  chain: row.chain,
+  chainId: row.chain_id,
+  expiry: row.expiry,
+  days: row.days_to_expiry,
+  impliedApy: parseFloat(row.implied_apy),
+  underlyingApy: parseFloat(row.underlying_apy) || 0,
+  liquidity: parseFloat(row.liquidity) || 0,
+  ptPrice: parseFloat(row.pt_price),
+  liquidityFlag: row.liquidity_flag || null,
+});
+
+// Live markets only, sorted front to back. Markets without an expiry, already
+// expired, or without a positive implied APY cannot be placed on the curve.
+export const buildTermStructure = (markets, now = new Date()) =>
+  markets
+    .filter(m => m.expiry)
+    .map(m => normalizeMarket(m, now))
+    .filter(m => m.days > 0 && m.impliedApy > 0)
+    .sort((a, b) => new Date(a.expiry) - new Date(b.expiry));
+
+export const applyLiquidityRules = (structure, { minLiquidity = 0, lowConfidenceLiquidity = 0 } = {}) =>
+  structure.map(m => ({
+    ...m,
+    liquidityFlag: m.liquidity < minLiquidity ? 'excluded' : m.liquidity < lowConfidenceLiquidity ? 'low' : null,
+  }));
+
+export const curveMarkets = (structure) => structure.filter(m => m.liquidityFlag !== 'excluded');
+
+export const computeSpread = (structure) => {
+  if (structure.length < 2) return null;
+
+  const frontMonth = structure[0];
+  const backMonth = structure[structure.length - 1];
+
+  return {
+    frontMonth,
+    backMonth,
+    frontApy: frontMonth.impliedApy,
+    backApy: backMonth.impliedApy,
+    termSpread: backMonth.impliedApy - frontMonth.impliedApy,
+    underlyingApy: frontMonth.underlyingApy,
+    marketsCount: structure.length,
+  };
+};
+
+export const groupByChain = (structure) =>
+  structure.reduce((chains, market) => {
+    (chains[market.chain] = chains[market.chain] || []).push(market);
+    return chains;
+  }, {});
+
+export const chainSpreads = (structure) => {
+  const spreads = {};
+  Object.entries(groupByChain(structure)).forEach(([chain, markets]) => {
+    spreads[chain] = computeSpread(markets);
+  });
+  return spreads;
+};
+
+// Reference-chain implied APY at a tenor, interpolated between its markets
+// but never extrapolated past them.
+const interpolateWithin = (markets, days) => {
+  const exact = markets.find(m => m.days === days);
+  if (exact) return exact.impliedApy;
+  const after = markets.findIndex(m => m.days > days);
+  if (after <= 0) return null;
+  const a = markets[after - 1];
+  const b = markets[after];
+  return a.impliedApy + (b.impliedApy - a.impliedApy) * (days - a.days) / (b.days - a.days);
+};
+
+// Implied APY of each other chain minus the reference chain at matched
+// maturities: the same expiry date where both list one, otherwise the
+// reference curve interpolated at the market's tenor.
+export const crossChainBasis = (structure, referenceChain) => {
+  const chains = groupByChain(structure);
+  const reference = chains[referenceChain];
+  if (!reference) return {};
+
+  const basis = {};
+  Object.entries(chains).forEach(([chain, markets]) => {
+    if (chain === referenceChain) return;
+    const points = markets
+      .map(m => {
+        const sameExpiry = reference.find(r => r.expiry.split('T')[0] === m.expiry.split('T')[0]);
+        const referenceApy = sameExpiry ? sameExpiry.impliedApy : interpolateWithin(reference, m.days);
+        if (referenceApy === null) return null;
+        return { expiry: m.expiry, days: m.days, basis: m.impliedApy - referenceApy, matched: !!sameExpiry };
+      })
+      .filter(Boolean);
+    if (points.length > 0) {
+      basis[chain] = { basis: points.reduce((sum, p) => sum + p.basis, 0) / points.length, points };
+    }
+  });
+  return basis;
+};
@@ -0,0 +1,78 @@
+import { normalizeMarket, buildTermStructure, computeSpread, filterAssetMarkets } from './termStructure';
+import { getAsset } from './assets';
+import activeMarkets from './__fixtures__/pendle-markets-active.json';
+
+// Pendle's /core/v1/1/markets/active response, trimmed, as of NOW.
+const NOW = new Date('2025-06-01T00:00:00.000Z');
+const markets = activeMarkets.markets.map(m => ({ ...m, chain: 'Ethereum', chainId: 1 }));
+const byAddress = (address) => markets.find(m => m.address === address);
+
+describe('normalizeMarket', () => {
+  test('converts APYs to percent and days to expiry', () => {
+    const m = normalizeMarket(byAddress('0x8ce4ee1a57a0d1bb1cbafe5ad3d4b2c2c6a8b8e1'), NOW);
+    expect(m.impliedApy).toBeCloseTo(9.12, 6);
+    expect(m.underlyingApy).toBeCloseTo(6.95, 6);
+    expect(m.days).toBe(25);
+    expect(m.liquidity).toBe(91540233.87);
+    expect(m.ptPrice).toBeCloseTo(1 / Math.pow(1.0912, 25 / 365), 10);
+  });
+
+  test('falls back to aggregatedApy when details have no underlyingApy', () => {
+    const m = normalizeMarket(byAddress('0xa36b60a14a1a5247912584768c6e53e1a269a9f7'), NOW);
+    expect(m.underlyingApy).toBeCloseTo(7.1, 6);
+  });
+
+  test('falls back to top-level APYs when details carry none', () => {
+    const m = normalizeMarket(byAddress('0x9df192d13d61609d1852461c4850595e1f56e714'), NOW);
+    expect(m.impliedApy).toBeCloseTo(7.74, 6);
+    expect(m.underlyingApy).toBeCloseTo(4.22, 6);
+  });
+
+  test('uses 0 when no APY is reported at all', () => {
+    const m = normalizeMarket({ address: '0x1', name: 'sUSDe', expiry: '2025-12-01T00:00:00.000Z' }, NOW);
+    expect(m.impliedApy).toBe(0);
+    expect(m.underlyingApy).toBe(0);
+    expect(m.liquidity).toBe(0);
+  });
+});
+
+describe('buildTermStructure', () => {
+  const structure = buildTermStructure(filterAssetMarkets(markets, getAsset('susde')), NOW);
+
+  test('drops expired, undated and zero-APY markets', () => {
+    const addresses = structure.map(m => m.address);
+    expect(addresses).not.toContain('0xb162b764044697cf03617c2efbcb1f42e31e4766');
+    expect(addresses).not.toContain('0x6d98a2b6cdbf44939362a3e99793339ba2016af4');
+    expect(addresses).not.toContain('0x1d83fdf6f019d0a6b2babc3c6c208224952e42fc');
+    expect(structure).toHaveLength(3);
+  });
+
+  test('sorts by expiry', () => {
+    expect(structure.map(m => m.expiry)).toEqual([
+      '2025-06-26T00:00:00.000Z',
+      '2025-07-31T00:00:00.000Z',
+      '2025-09-25T00:00:00.000Z',
+    ]);
+  });
+
+  test('keeps only the asset\'s markets', () => {
+    expect(structure.every(m => m.name === 'sUSDe')).toBe(true);
+  });
+});
+
+describe('computeSpread', () => {
+  test('is back-month minus front-month implied APY', () => {
+    const structure = buildTermStructure(filterAssetMarkets(markets, getAsset('susde')), NOW);
+    const spread = computeSpread(structure);
+    expect(spread.frontMonth.address).toBe('0x8ce4ee1a57a0d1bb1cbafe5ad3d4b2c2c6a8b8e1');
+    expect(spread.backMonth.address).toBe('0x4339ffe2b7592dc783ed13cce310531ab366deac');
+    expect(spread.termSpread).toBeCloseTo(8.23 - 9.12, 6);
+    expect(spread.underlyingApy).toBeCloseTo(6.95, 6);
+    expect(spread.marketsCount).toBe(3);
+  });
+
+  test('needs at least two markets', () => {
+    expect(computeSpread([])).toBeNull();
+    expect(computeSpread(buildTermStructure([byAddress('0x8ce4ee1a57a0d1bb1cbafe5ad3d4b2c2c6a8b8e1')], NOW))).toBeNull();
+  });
+});
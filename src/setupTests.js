@@ -0,0 +1,4 @@
+// jest 27's environments have no fetch; the Pendle client tests need one.
+if (typeof global.fetch === 'undefined') {
+  global.fetch = require('node-fetch');
+}
@@ -0,0 +1,12 @@
+-- Daily aggregate written by api/snapshot.js and read by api/history.js.
+create table if not exists term_spread_history (
+  date date primary key,
+  term_spread numeric not null,
+  front_month_apy numeric not null,
+  back_month_apy numeric not null,
+  front_expiry date not null,
+  back_expiry date not null,
+  underlying_apy numeric,
+  markets_count integer not null,
+  created_at timestamptz not null default now()
+);
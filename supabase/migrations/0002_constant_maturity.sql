@@ -0,0 +1,9 @@
+-- Constant-maturity implied APY read off the fitted curve (src/lib/curveFit.js)
+-- and the fixed-tenor spread (180d - 30d).
+alter table term_spread_history
+  add column if not exists cm_30d_apy numeric,
+  add column if not exists cm_60d_apy numeric,
+  add column if not exists cm_90d_apy numeric,
+  add column if not exists cm_180d_apy numeric,
+  add column if not exists cm_spread numeric,
+  add column if not exists curve_method text;
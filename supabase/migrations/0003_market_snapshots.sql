@@ -0,0 +1,23 @@
+-- One row per market per capture, so any past curve can be rebuilt.
+-- captured_at is truncated to the hour by api/snapshot.js.
+create table if not exists market_snapshots (
+  captured_at timestamptz not null,
+  date date not null,
+  chain text not null,
+  chain_id integer not null,
+  address text not null,
+  name text,
+  expiry timestamptz not null,
+  days_to_expiry integer not null,
+  implied_apy numeric not null,
+  underlying_apy numeric,
+  liquidity numeric,
+  pt_price numeric,
+  primary key (captured_at, chain_id, address)
+);
+
+create index if not exists market_snapshots_date_idx on market_snapshots (date);
+
+-- The daily aggregate is now refreshed by every intraday capture; record which.
+alter table term_spread_history
+  add column if not exists captured_at timestamptz;
@@ -0,0 +1,12 @@
+-- Alerts fired by the snapshot cron; also the cooldown / de-duplication state.
+create table if not exists alert_log (
+  id bigserial primary key,
+  key text not null,
+  rule text not null,
+  title text not null,
+  message text,
+  deliveries jsonb,
+  fired_at timestamptz not null default now()
+);
+
+create index if not exists alert_log_key_fired_at_idx on alert_log (key, fired_at desc);
@@ -0,0 +1,18 @@
+-- History is kept per tracked underlying (src/lib/assets.js). Existing rows
+-- were all sUSDe.
+alter table term_spread_history
+  add column if not exists asset text not null default 'susde';
+
+alter table term_spread_history drop constraint if exists term_spread_history_pkey;
+alter table term_spread_history add primary key (asset, date);
+
+alter table market_snapshots
+  add column if not exists asset text not null default 'susde';
+
+alter table market_snapshots drop constraint if exists market_snapshots_pkey;
+alter table market_snapshots add primary key (asset, captured_at, chain_id, address);
+
+create index if not exists market_snapshots_asset_captured_at_idx on market_snapshots (asset, captured_at);
+
+alter table alert_log
+  add column if not exists asset text not null default 'susde';
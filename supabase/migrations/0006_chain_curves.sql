@@ -0,0 +1,5 @@
+-- Per-chain term spreads and the implied APY basis of each chain against the
+-- asset's reference chain at matched maturities, keyed by chain name.
+alter table term_spread_history
+  add column if not exists chain_spreads jsonb,
+  add column if not exists chain_basis jsonb;
@@ -0,0 +1,9 @@
+-- Liquidity rules (src/lib/assets.js): markets under the minimum are stored
+-- as 'excluded' and left off the curve, thin ones as 'low'.
+alter table market_snapshots
+  add column if not exists liquidity_flag text;
+
+alter table term_spread_history
+  add column if not exists excluded_markets integer,
+  add column if not exists low_confidence_markets integer,
+  add column if not exists curve_weighting text;
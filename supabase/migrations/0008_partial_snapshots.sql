@@ -0,0 +1,5 @@
+-- Snapshots stored while a chain's Pendle fetch failed
+-- (SNAPSHOT_ON_CHAIN_FAILURE=partial) are flagged with the chains missing.
+alter table term_spread_history
+  add column if not exists partial boolean not null default false,
+  add column if not exists failed_chains jsonb;
@@ -0,0 +1,4 @@
+-- Rows rebuilt from Pendle's historical data by /api/backfill are marked
+-- 'backfill'; the hourly cron writes 'snapshot'.
+alter table term_spread_history
+  add column if not exists source text not null default 'snapshot';
@@ -0,0 +1,4 @@
+-- Data-quality checks (src/lib/dataQuality.js) that a stored spread failed,
+-- e.g. ["front_expiring", "spread_jump"]; null when it passed them all.
+alter table term_spread_history
+  add column if not exists quality_flags jsonb;
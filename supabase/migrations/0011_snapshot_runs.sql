@@ -0,0 +1,18 @@
+-- One row per /api/snapshot run, whatever its outcome; read by /api/health.
+-- status: 'success' (every asset stored), 'skipped' (some asset had nothing
+-- to store) or 'failed'. assets and chains hold the per-asset outcome and
+-- the per-chain fetch status with market counts.
+create table if not exists snapshot_runs (
+  id bigserial primary key,
+  started_at timestamptz not null,
+  finished_at timestamptz,
+  duration_ms integer,
+  date date,
+  status text not null,
+  assets jsonb,
+  chains jsonb,
+  error text
+);
+
+create index if not exists snapshot_runs_started_at_idx on snapshot_runs (started_at desc);
+create index if not exists snapshot_runs_status_started_at_idx on snapshot_runs (status, started_at desc);
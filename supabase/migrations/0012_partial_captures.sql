@@ -0,0 +1,5 @@
+-- Market rows of a partial capture carry the flag too, so alerts can skip
+-- them when picking the previous curve (the daily row only describes the
+-- day's last capture).
+alter table market_snapshots
+  add column if not exists partial boolean not null default false;
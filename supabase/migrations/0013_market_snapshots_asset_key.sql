@@ -0,0 +1,5 @@
+-- 0005 originally left market_snapshots keyed without asset, unlike the
+-- SQLite and JSON backends; databases migrated before it was fixed get the
+-- same key here so merge-duplicates upserts match across backends.
+alter table market_snapshots drop constraint if exists market_snapshots_pkey;
+alter table market_snapshots add primary key (asset, captured_at, chain_id, address);